@@ -10,7 +10,9 @@ class FlowgazerApp {
     this.filterAuthors = null;
     this.flowgazerOnly = false;
     this.myPostsHistoryFetched = false;
-    this.receivedLikesFetched = false;
+    this.relays = [];
+    this.composeContext = null; // { type: 'reply' | 'quote', event }
+    this.pinnedHashtags = this.loadPinnedHashtags();
   }
 
   /**
@@ -22,12 +24,23 @@ class FlowgazerApp {
     // 鍵入力状況を反映
     this.updateLoginUI();
 
-    // デフォルトリレーに接続
-    const savedRelay = localStorage.getItem('relayUrl');
-    const defaultRelay = 'wss://r.ompomz.io';
-    const relay = savedRelay || defaultRelay;
+    // リアクション数の表示設定
+    window.timeline.showReactionCounts = localStorage.getItem('showReactionCounts') !== 'false';
 
-    await this.connectRelay(relay);
+    // タブ（カスタムタブは手元のイベントから振り分けられるよう先に用意）
+    window.customTabs.getTabs().forEach(tab => window.viewState.ensureTab(tab.id));
+    this.renderTabs();
+    this.renderCustomTabList();
+
+    // キャッシュから復元して即座に表示
+    const cachedEvents = await window.dataStore.hydrate();
+    cachedEvents.forEach(event => window.viewState.addEvent(event, this.currentTab));
+    window.viewState.renderNow();
+
+    // 保存済みのリレーに接続
+    window.relayManager.onStatusChange = () => this.renderRelayList();
+    window.relayManager.onNotice = (url, type, message) => this.showRelayNotice(url, type, message);
+    await this.connectRelays(this.loadRelayList());
 
     // 禁止ワードリストを取得
     await this.fetchForbiddenWords();
@@ -41,31 +54,160 @@ class FlowgazerApp {
   }
 
   /**
-   * リレーに接続
+   * 保存済みのリレーリストを読み込み
    */
-  async connectRelay(url) {
+  loadRelayList() {
+    const defaultRelays = ['wss://r.ompomz.io'];
+
     try {
-      document.getElementById('relay-url').value = url;
-      await window.relayManager.connect(url);
+      const saved = JSON.parse(localStorage.getItem('relayList'));
+      if (Array.isArray(saved) && saved.length > 0) {
+        return saved.map(url => window.relayManager.normalizeUrl(url));
+      }
+    } catch (err) {
+      console.error('リレーリスト読み込み失敗:', err);
+    }
 
-      // メインタイムラインを購読
-      this.subscribeMainTimeline();
+    // 旧形式（単一リレー）からの移行
+    const legacyRelay = localStorage.getItem('relayUrl');
+    const relays = legacyRelay
+      ? [window.relayManager.normalizeUrl(legacyRelay)]
+      : defaultRelays;
+    this.saveRelayList(relays);
+    localStorage.removeItem('relayUrl');
+    return relays;
+  }
+
+  /**
+   * リレーリストを保存
+   */
+  saveRelayList(relays) {
+    this.relays = relays;
+    localStorage.setItem('relayList', JSON.stringify(relays));
+  }
+
+  /**
+   * リレーリストに接続
+   */
+  async connectRelays(urls) {
+    this.saveRelayList(urls);
+    this.renderRelayList();
+
+    try {
+      await window.relayManager.connectAll(urls);
+    } catch (err) {
+      console.error('❌ リレー接続失敗:', err);
+      alert('リレーに接続できませんでした: ' + urls.join(', '));
+    }
+
+    // メインタイムラインを購読
+    this.subscribeMainTimeline();
+  }
+
+  /**
+   * リレーを追加
+   */
+  async addRelay(url) {
+    url = window.relayManager.normalizeUrl(url);
+
+    if (!/^wss?:\/\/.+/.test(url)) {
+      alert('リレーのURLは wss:// で始めてください');
+      return;
+    }
+    if (this.relays.includes(url)) {
+      return;
+    }
 
-      // リレーURLを保存
-      localStorage.setItem('relayUrl', url);
+    this.saveRelayList([...this.relays, url]);
+    this.renderRelayList();
 
+    try {
+      // 接続時に既存の購読が新しいリレーにも送られる
+      await window.relayManager.connect(url);
     } catch (err) {
       console.error('❌ リレー接続失敗:', err);
       alert('リレーに接続できませんでした: ' + url);
     }
   }
 
+  /**
+   * NIP-05で案内されたリレーをリストに追加（確認あり）
+   */
+  async addRelayHints(relays) {
+    const missing = Array.from(new Set(relays.map(url => window.relayManager.normalizeUrl(url))))
+      .filter(url => !this.relays.includes(url));
+    if (missing.length === 0) return;
+
+    if (!confirm(`NIP-05で案内されたリレーを追加しますか？\n${missing.join('\n')}`)) return;
+
+    await Promise.all(missing.map(url => this.addRelay(url)));
+  }
+
+  /**
+   * リレーを削除
+   */
+  removeRelay(url) {
+    if (this.relays.length <= 1) {
+      alert('リレーは1つ以上必要です');
+      return;
+    }
+
+    this.saveRelayList(this.relays.filter(r => r !== url));
+    window.relayManager.disconnect(url);
+    this.renderRelayList();
+  }
+
+  /**
+   * リレーリストUIを描画
+   */
+  renderRelayList() {
+    const list = document.getElementById('relay-list');
+    if (!list) return;
+
+    const statusMarks = { open: '🟢', connecting: '🟡', closed: '🔴' };
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    this.relays.forEach(url => {
+      const li = document.createElement('li');
+
+      const status = document.createElement('span');
+      status.textContent = statusMarks[window.relayManager.getStatus(url)];
+      li.appendChild(status);
+
+      const label = document.createElement('span');
+      label.className = 'relay-list-url';
+      label.textContent = url;
+      li.appendChild(label);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '削除';
+      removeBtn.onclick = () => this.removeRelay(url);
+      li.appendChild(removeBtn);
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * リレーからのお知らせ（NOTICE・CLOSED・AUTH）を表示
+   */
+  showRelayNotice(url, type, message) {
+    const status = document.getElementById('relay-notice');
+    if (!status) return;
+
+    const time = new Date().toLocaleTimeString();
+    status.textContent = `[${time}] ${url} ${type}: ${message}`;
+    status.title = status.textContent;
+  }
+
   /**
    * メインタイムラインを購読
    */
   subscribeMainTimeline() {
     const filters = [];
-    const myPubkey = window.nostrAuth?.pubkey;
 
     // グローバルタイムライン
     if (this.currentTab === 'global') {
@@ -73,34 +215,67 @@ class FlowgazerApp {
       if (this.filterAuthors && this.filterAuthors.length > 0) {
         filter.authors = this.filterAuthors;
       }
-      filters.push(filter);
+      // キャッシュ済みより新しいものだけ
+      filters.push(window.relayManager.adjustSince(filter));
     }
 
     // フォロータイムライン
     if (this.currentTab === 'following' && window.dataStore.followingPubkeys.size > 0) {
-      filters.push({
+      filters.push(window.relayManager.adjustSince({
         kinds: [1, 6],
         authors: Array.from(window.dataStore.followingPubkeys),
         limit: 100
-      });
+      }));
+    }
+
+    // ハッシュタグのタイムライン
+    const hashtag = this.getHashtagFromTab(this.currentTab);
+    if (hashtag) {
+      filters.push(window.relayManager.adjustSince({
+        kinds: [1],
+        '#t': [hashtag],
+        limit: 50
+      }));
     }
 
-    // マイポストタイムライン
-    if (this.currentTab === 'myposts' && myPubkey) {
-      // リアクション取得のみ（投稿は履歴で取得済み）
-      if (window.dataStore.myPostIds.size > 0) {
-        filters.push({
-          kinds: [6, 7],
-          '#e': Array.from(window.dataStore.myPostIds)
-        });
+    // カスタムタブ（リレーの指定があればそのリレーだけ）
+    const options = {};
+    const customTab = window.customTabs.get(this.currentTab);
+    if (customTab) {
+      filters.push(window.relayManager.adjustSince(window.customTabs.buildFilter(customTab)));
+
+      if (customTab.relays.length > 0) {
+        options.relays = customTab.relays;
+        this.connectTabRelays(customTab);
       }
     }
 
-    // 購読
+    // 購読（埋めきれなかった隙間は「もっと見る」で続きから取る）
     if (filters.length > 0) {
-      window.relayManager.subscribe('main-timeline', filters, (type, event) => {
+      const tab = this.currentTab;
+      window.relayManager.subscribe('main-timeline', filters, (type, event, subId, url) => {
+        if (type === 'GAP') {
+          window.pagination.markGap(tab, url, event.until);
+          return;
+        }
         this.handleTimelineEvent(type, event);
-      });
+      }, options);
+    }
+  }
+
+  /**
+   * カスタムタブのリレーのうち未接続のものに接続
+   * リレーリストには加えず、接続できたら購読をやり直す
+   */
+  async connectTabRelays(tab) {
+    const missing = tab.relays.filter(url => window.relayManager.getStatus(url) === 'closed');
+    if (missing.length === 0) return;
+
+    await Promise.allSettled(missing.map(url => window.relayManager.connect(url)));
+
+    const connected = missing.some(url => window.relayManager.getStatus(url) === 'open');
+    if (connected && this.currentTab === tab.id) {
+      this.subscribeMainTimeline();
     }
   }
 
@@ -111,19 +286,9 @@ class FlowgazerApp {
     if (type === 'EVENT') {
       // kind:0（プロファイル）
       if (event.kind === 0) {
-        try {
-          const profile = JSON.parse(event.content);
-          const updated = window.dataStore.addProfile(event.pubkey, {
-            ...profile,
-            created_at: event.created_at
-          });
-          
-          // プロファイル取得完了を通知
-          if (updated) {
-            window.viewState.onProfileFetched(event.pubkey);
-          }
-        } catch (err) {
-          console.error('プロファイルパースエラー:', err);
+        // プロファイル取得完了を通知
+        if (window.dataStore.addProfileEvent(event)) {
+          window.viewState.onProfileFetched(event.pubkey);
         }
         return;
       }
@@ -158,26 +323,180 @@ class FlowgazerApp {
       limit: 1
     }, (type, event) => {
       if (type === 'EVENT') {
-        const pubkeys = event.tags
-          .filter(t => t[0] === 'p')
-          .map(t => t[1]);
-        window.dataStore.setFollowingList(pubkeys);
-        
-        // フォロー中のプロファイルを取得
-        window.profileFetcher.requestMultiple(pubkeys);
+        if (!window.dataStore.isVerifiedOwnEvent(event)) return;
+        if (window.dataStore.setContactList(event)) {
+          this.onFollowingChanged();
+        }
       }
     });
 
-    // 2. 自分がふぁぼした履歴
-    window.relayManager.subscribe('my-likes', {
-      kinds: [7],
-      authors: [myPubkey]
-    }, (type, event) => {
+    // 2. ミュートリスト（kind:10000）
+    window.relayManager.subscribe('mute-list', {
+      kinds: [10000],
+      authors: [myPubkey],
+      limit: 1
+    }, async (type, event) => {
+      if (type === 'EVENT') {
+        if (await window.muteList.load(event)) {
+          window.viewState.renderNow();
+        }
+      } else if (type === 'EOSE') {
+        window.muteList.markLoaded();
+      }
+    });
+
+    // 3. 自分がふぁぼした履歴と取り消し（キャッシュ済みより新しい直近の分）
+    // それより前のものは、表示した投稿のリアクションと一緒にReactionFetcherが取得する
+    window.relayManager.subscribe('my-likes', window.relayManager.adjustSince({
+      kinds: [5, 7],
+      authors: [myPubkey],
+      limit: 100
+    }), (type, event) => {
       if (type === 'EVENT') {
         window.dataStore.addEvent(event);
         window.viewState.addEvent(event, this.currentTab);
       }
     });
+
+    // 4. 通知（未読数をどのタブでも数えるため常に購読）
+    this.fetchNotifications();
+
+    // 5. 絵文字リスト（kind:10030）と参照している絵文字セット（kind:30030）
+    window.relayManager.subscribe('emoji-list', {
+      kinds: [10030],
+      authors: [myPubkey],
+      limit: 1
+    }, (type, event) => {
+      if (type === 'EVENT') {
+        if (!window.NostrTools.verifyEvent(event)) return;
+        const addresses = window.emojiSets.loadList(event);
+        if (addresses?.length > 0) {
+          this.fetchEmojiSets(addresses);
+        }
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('emoji-list');
+      }
+    });
+  }
+
+  /**
+   * 絵文字セット（kind:30030）を取得
+   */
+  fetchEmojiSets(addresses) {
+    const filters = window.emojiSets.buildSetFilters(addresses);
+    if (filters.length === 0) return;
+
+    window.relayManager.subscribe('emoji-sets', filters, (type, event) => {
+      if (type === 'EVENT') {
+        if (!window.NostrTools.verifyEvent(event)) return;
+        window.emojiSets.addSet(event);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('emoji-sets');
+        console.log(`😀 絵文字セット取得完了: ${window.emojiSets.sets.size}件`);
+      }
+    });
+  }
+
+  /**
+   * フォローリストが変わったときの処理
+   * フォロータブの振り分けと購読をやり直す
+   */
+  onFollowingChanged() {
+    // フォロー中のプロファイルを取得
+    window.profileFetcher.requestMultiple(Array.from(window.dataStore.followingPubkeys));
+
+    window.viewState.rebuildFollowingTab();
+
+    if (this.currentTab === 'following') {
+      window.relayManager.unsubscribe('main-timeline');
+      this.subscribeMainTimeline();
+    }
+
+    window.viewState.renderNow();
+    window.pagination.updateButton();
+  }
+
+  /**
+   * リレーから最新のフォローリスト（kind:3）を取得
+   * 他のクライアントで更新されたリストを上書きしないため、編集前に必ず呼ぶ
+   */
+  fetchLatestContactList() {
+    return new Promise((resolve, reject) => {
+      const subscribed = window.relayManager.subscribe('contact-list-latest', {
+        kinds: [3],
+        authors: [window.nostrAuth.pubkey],
+        limit: 1
+      }, (type, event) => {
+        if (type === 'EVENT') {
+          if (!window.dataStore.isVerifiedOwnEvent(event)) return;
+          if (window.dataStore.setContactList(event)) {
+            this.onFollowingChanged();
+          }
+        } else if (type === 'EOSE') {
+          window.relayManager.unsubscribe('contact-list-latest');
+          resolve(window.dataStore.contactList);
+        }
+      });
+
+      if (!subscribed) {
+        reject(new Error('リレーに接続されていません'));
+      }
+    });
+  }
+
+  /**
+   * フォロー・フォロー解除
+   * 最新のkind:3のpタグだけを変更し、ペットネーム・リレー情報・contentは保つ
+   */
+  async toggleFollow(pubkey) {
+    if (!window.nostrAuth.canWrite()) {
+      alert('フォローするには秘密鍵でのサインインが必要です。');
+      showAuthUI();
+      return;
+    }
+
+    const follow = !window.dataStore.isFollowing(pubkey);
+    const label = follow ? 'フォロー' : 'フォロー解除';
+    const name = window.dataStore.getDisplayName(pubkey);
+    if (!confirm(follow ? `${name} をフォローする？` : `${name} のフォローを解除する？`)) return;
+
+    try {
+      const base = await this.fetchLatestContactList();
+
+      if (!base && !confirm('フォローリストが見つかりませんでした。新しく作りますか？')) {
+        return;
+      }
+
+      const tags = base ? base.tags.filter(t => !(t[0] === 'p' && t[1] === pubkey)) : [];
+      if (follow) {
+        tags.push(['p', pubkey]);
+      }
+
+      const event = {
+        kind: 3,
+        content: base?.content || '',
+        created_at: Math.max(Math.floor(Date.now() / 1000), (base?.created_at || 0) + 1),
+        tags
+      };
+
+      const signed = await window.nostrAuth.signEvent(event);
+      this.showPublishStatus(label, null);
+      const results = await window.relayManager.publish(signed);
+
+      // 受理されたら反映
+      window.dataStore.setContactList(signed);
+      this.onFollowingChanged();
+
+      this.showPublishStatus(label, results);
+
+    } catch (err) {
+      console.error('フォロー更新失敗:', err);
+      if (err.results) {
+        this.showPublishStatus(label, err.results);
+      } else {
+        alert(`${label}できませんでした: ` + err.message);
+      }
+    }
   }
 
   /**
@@ -191,11 +510,11 @@ class FlowgazerApp {
     console.log('📥 自分の投稿履歴を取得中...');
     
     // 自分の投稿履歴
-    window.relayManager.subscribe('my-posts-history', {
+    window.relayManager.subscribe('my-posts-history', window.relayManager.adjustSince({
       kinds: [1],
       authors: [myPubkey],
       limit: 100
-    }, (type, event) => {
+    }), (type, event, subId, url) => {
       if (type === 'EVENT') {
         if (window.dataStore.addEvent(event)) {
           window.viewState.addEvent(event, this.currentTab);
@@ -204,6 +523,8 @@ class FlowgazerApp {
       } else if (type === 'EOSE') {
         console.log('✅ 自分の投稿履歴取得完了');
         window.viewState.renderNow();
+      } else if (type === 'GAP') {
+        window.pagination.markGap('myposts', url, event.until);
       }
     });
 
@@ -211,52 +532,52 @@ class FlowgazerApp {
   }
 
   /**
-   * 受け取ったふぁぼを取得（「ふぁぼられ」タブ用）
+   * 自分宛ての通知を購読（「通知」タブ用）
+   * メンション・返信（kind:1）、リポスト（kind:6）、リアクション（kind:7）、zap（kind:9735）
    */
-  fetchReceivedLikes() {
-    if (this.receivedLikesFetched) return;
-    
+  fetchNotifications() {
     const myPubkey = window.nostrAuth.pubkey;
-    
-    console.log('📥 受け取ったふぁぼを取得中...');
-    
-    window.relayManager.subscribe('received-likes', {
-      kinds: [7],
+
+    console.log('📥 通知を取得中...');
+
+    window.relayManager.subscribe('notifications', window.relayManager.adjustSince({
+      kinds: [1, 6, 7, 9735],
       '#p': [myPubkey],
       limit: 100
-    }, (type, event) => {
+    }), (type, event, subId, url) => {
       if (type === 'EVENT') {
         if (window.dataStore.addEvent(event)) {
           window.viewState.addEvent(event, this.currentTab);
           window.profileFetcher.request(event.pubkey);
         }
       } else if (type === 'EOSE') {
-        console.log('✅ 受け取ったふぁぼ取得完了');
+        console.log('✅ 通知取得完了');
+        window.profileFetcher.flushNow();
         window.viewState.renderNow();
+      } else if (type === 'GAP') {
+        window.pagination.markGap('notifications', url, event.until);
       }
     });
-
-    this.receivedLikesFetched = true;
   }
 
   /**
    * タブを切り替え
    */
   switchTab(tab) {
+    window.viewState.ensureTab(tab);
     this.currentTab = tab;
     console.log('📑 タブ切り替え:', tab);
 
-    // タブボタンのアクティブ状態を更新
-    document.querySelectorAll('.tab-button').forEach(btn => {
-      btn.classList.toggle('active', btn.id === `tab-${tab}`);
-    });
+    // タブボタン（アクティブ状態を含む）
+    this.renderTabs();
 
     // タブ専用データの取得
     if (tab === 'myposts' && window.nostrAuth.isLoggedIn()) {
       this.fetchMyPostsHistory();
-    } else if (tab === 'likes' && window.nostrAuth.isLoggedIn()) {
-      this.fetchReceivedLikes();
+    } else if (tab === 'notifications') {
+      window.notifications.open();
     }
+    window.notifications.updateBadge();
 
     // 購読を更新
     window.relayManager.unsubscribe('main-timeline');
@@ -267,6 +588,320 @@ class FlowgazerApp {
 
     // タイムライン更新
     window.timeline.switchTab(tab);
+    window.pagination.updateButton();
+  }
+
+  /**
+   * ハッシュタグのタブ名からタグを取り出す（ハッシュタグのタブでなければnull）
+   */
+  getHashtagFromTab(tab) {
+    return tab.startsWith('tag:') ? tab.substring(4) : null;
+  }
+
+  /**
+   * ハッシュタグのタイムラインを開く
+   */
+  openHashtag(tag) {
+    const tab = 'tag:' + tag.toLowerCase();
+
+    // スレッド・プロフィール表示中なら閉じる
+    if (window.threadView.isOpen()) window.threadView.close();
+    if (window.profileView.isOpen()) window.profileView.close();
+
+    this.switchTab(tab);
+  }
+
+  /**
+   * ピン留めしたハッシュタグを読み込み
+   */
+  loadPinnedHashtags() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('pinnedHashtags') || '[]');
+      return Array.isArray(saved) ? saved.filter(tag => typeof tag === 'string') : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * ハッシュタグのピン留めを切り替え
+   */
+  togglePinHashtag(tag) {
+    if (this.pinnedHashtags.includes(tag)) {
+      this.pinnedHashtags = this.pinnedHashtags.filter(t => t !== tag);
+    } else {
+      this.pinnedHashtags = [...this.pinnedHashtags, tag];
+    }
+    localStorage.setItem('pinnedHashtags', JSON.stringify(this.pinnedHashtags));
+    this.renderTabs();
+  }
+
+  /**
+   * タブボタンを描画
+   * 組み込みのタブ、カスタムタブ、ハッシュタグ（ピン留めしていないものは開いている間だけ）、通知の順
+   */
+  renderTabs() {
+    const container = document.getElementById('tab-buttons');
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    const currentHashtag = this.getHashtagFromTab(this.currentTab);
+    const hashtags = [...this.pinnedHashtags];
+    if (currentHashtag && !hashtags.includes(currentHashtag)) {
+      hashtags.push(currentHashtag);
+    }
+
+    const tabs = [
+      { id: 'global', label: 'みんな' },
+      { id: 'following', label: 'フォロー' },
+      { id: 'myposts', label: '自分' },
+      { id: 'search', label: '検索' },
+      ...window.customTabs.getTabs().map(tab => ({ id: tab.id, label: tab.name })),
+      ...hashtags.map(tag => ({ id: `tag:${tag}`, label: '#' + tag })),
+      { id: 'notifications', label: '通知' }
+    ];
+
+    tabs.forEach(({ id, label }) => {
+      const button = document.createElement('button');
+      button.id = `tab-${id}`;
+      button.className = 'tab-button';
+      button.classList.toggle('active', id === this.currentTab);
+      button.textContent = label;
+      button.onclick = () => this.switchTab(id);
+      container.appendChild(button);
+    });
+
+    // 通知の未読バッジ
+    const badge = document.createElement('span');
+    badge.id = 'notification-badge';
+    badge.className = 'notification-badge hidden';
+    document.getElementById('tab-notifications').appendChild(badge);
+    window.notifications.updateBadge();
+
+    // 表示中のハッシュタグのピン留めボタン
+    if (currentHashtag) {
+      const pin = document.createElement('button');
+      pin.id = 'pin-hashtag';
+      pin.textContent = this.pinnedHashtags.includes(currentHashtag) ? '📌 はずす' : '📌 ピン留め';
+      pin.onclick = () => this.togglePinHashtag(currentHashtag);
+      container.appendChild(pin);
+    }
+  }
+
+  /**
+   * カスタムタブを追加
+   * publishがtrueなら投稿者の一覧をkind:30000のリストとしても送信
+   */
+  async addCustomTab({ name, authors, kinds, hashtags, relays, flowgazerOnly, publish }) {
+    name = name.trim();
+    if (!name) {
+      alert('タブの名前を入力してください');
+      return;
+    }
+    if (kinds.length === 0) {
+      alert('表示する種類（投稿・リポスト）を選んでください');
+      return;
+    }
+
+    const relayUrls = relays.split(/[\s,]+/).filter(Boolean).map(url => window.relayManager.normalizeUrl(url));
+    const invalid = relayUrls.filter(url => !/^wss?:\/\/.+/.test(url));
+    if (invalid.length > 0) {
+      alert('リレーのURLは wss:// で始めてください:\n' + invalid.join('\n'));
+      return;
+    }
+
+    const tab = window.customTabs.add({
+      name,
+      authors: await this.resolveAuthors(authors),
+      kinds,
+      hashtags: hashtags.split(/[\s,]+/).filter(Boolean),
+      relays: Array.from(new Set(relayUrls)),
+      flowgazerOnly
+    });
+
+    window.viewState.ensureTab(tab.id);
+    this.renderCustomTabList();
+    this.switchTab(tab.id);
+
+    if (!publish) return;
+
+    if (!window.nostrAuth.canWrite()) {
+      alert('リストを保存するには秘密鍵でのサインインが必要です。タブは端末にだけ保存しました。');
+      return;
+    }
+
+    try {
+      this.showPublishStatus('リスト保存', null);
+      const results = await window.customTabs.publishList(tab);
+      this.showPublishStatus('リスト保存', results);
+    } catch (err) {
+      console.error('リスト保存失敗:', err);
+      if (err.results) {
+        this.showPublishStatus('リスト保存', err.results);
+      } else {
+        alert('リストを保存できませんでした: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * カスタムタブを削除
+   */
+  removeCustomTab(tabId) {
+    const tab = window.customTabs.get(tabId);
+    if (!tab || !confirm(`タブ「${tab.name}」を削除しますか？`)) return;
+
+    window.customTabs.remove(tabId);
+    window.viewState.removeTab(tabId);
+    this.renderCustomTabList();
+
+    if (this.currentTab === tabId) {
+      this.switchTab('global');
+    } else {
+      this.renderTabs();
+    }
+  }
+
+  /**
+   * 自分のkind:30000のリストをカスタムタブとして取り込む
+   */
+  importCustomTabs() {
+    if (!window.nostrAuth.isLoggedIn()) {
+      alert('リストを読み込むにはサインインが必要です。');
+      return;
+    }
+
+    const imported = new Set();
+    const subscribed = window.relayManager.subscribe('custom-tab-lists', {
+      kinds: [30000],
+      authors: [window.nostrAuth.pubkey]
+    }, (type, event) => {
+      if (type === 'EVENT') {
+        if (!window.NostrTools.verifyEvent(event)) return;
+        const tab = window.customTabs.importList(event);
+        if (tab) imported.add(tab.id);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('custom-tab-lists');
+        imported.forEach(tabId => window.viewState.ensureTab(tabId));
+        this.renderTabs();
+        this.renderCustomTabList();
+        console.log(`✅ リスト読み込み完了: ${imported.size}件`);
+        alert(`${imported.size}件のリストを読み込みました`);
+      }
+    });
+
+    if (!subscribed) {
+      alert('リレーに接続していません');
+    }
+  }
+
+  /**
+   * 設定画面のカスタムタブ一覧を描画
+   */
+  renderCustomTabList() {
+    const list = document.getElementById('custom-tab-list');
+    if (!list) return;
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    window.customTabs.getTabs().forEach(tab => {
+      const li = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'relay-list-url';
+      const conditions = [
+        tab.authors.length > 0 ? `${tab.authors.length}人` : '全員',
+        ...tab.hashtags.map(tag => '#' + tag),
+        ...(tab.relays.length > 0 ? [`${tab.relays.length}リレー`] : []),
+        ...(tab.flowgazerOnly ? ['flowgazer'] : [])
+      ];
+      label.textContent = `${tab.name}（${conditions.join(' ')}）`;
+      li.appendChild(label);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '削除';
+      removeBtn.onclick = () => this.removeCustomTab(tab.id);
+      li.appendChild(removeBtn);
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * リアクション数の表示の切り替え（OFFの間は取得もしない）
+   */
+  setShowReactionCounts(enabled) {
+    localStorage.setItem('showReactionCounts', String(enabled));
+    window.timeline.setShowReactionCounts(enabled);
+    window.threadView.scheduleRender();
+    window.profileView.scheduleRender();
+  }
+
+  /**
+   * メディア自動読み込みの切り替え
+   */
+  setMediaAutoLoad(enabled) {
+    window.mediaRenderer.setAutoLoad(enabled);
+    window.timeline.clearRendered();
+    window.timeline.refresh();
+    window.threadView.scheduleRender();
+    window.profileView.scheduleRender();
+  }
+
+  /**
+   * 自動更新の切り替え
+   * ONに戻したときは保留していた新着をすべて反映する
+   */
+  setAutoUpdate(enabled) {
+    this.isAutoUpdate = enabled;
+    console.log(`🔄 自動更新: ${enabled ? 'ON' : 'OFF'}`);
+
+    if (enabled) {
+      window.viewState.releaseAllHeld();
+    }
+    window.viewState.renderNow();
+  }
+
+  /**
+   * 「N件の新着」バナーを更新
+   */
+  updateNewPostsBanner() {
+    const banner = document.getElementById('new-posts-banner');
+    const count = window.viewState.getHeldCount(this.currentTab, window.timeline?.filterOptions);
+
+    banner.textContent = `${count}件の新着`;
+    banner.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * 保留していた新着を現在のタブに反映
+   */
+  showNewPosts() {
+    window.viewState.releaseHeld(this.currentTab);
+    window.scrollTo(0, document.getElementById('timeline-view').offsetTop);
+    window.viewState.renderNow();
+  }
+
+  /**
+   * 検索して「検索」タブを表示
+   */
+  async search(text) {
+    if (!text.trim()) return;
+
+    const running = window.search.run(text);
+
+    // 強調する語句が変わるので作り直す
+    window.timeline.clearRendered();
+    if (this.currentTab === 'search') {
+      window.viewState.renderNow();
+    } else {
+      this.switchTab('search');
+    }
+
+    await running;
   }
 
   /**
@@ -275,56 +910,128 @@ class FlowgazerApp {
   applyFilter(authors) {
     this.filterAuthors = authors;
     window.timeline.setFilter({ authors });
+    this.updateNewPostsBanner();
+    window.pagination.updateButton();
 
     // 購読を更新
     window.relayManager.unsubscribe('main-timeline');
     this.subscribeMainTimeline();
   }
 
+  /**
+   * 投稿者しぼりこみの入力をpubkeyの配列に
+   * npub・hexに加えて name@domain（NIP-05）も受け付ける
+   */
+  async resolveAuthors(input) {
+    const tokens = input.split(/[ ,\n]/).map(s => s.trim()).filter(Boolean);
+
+    const authors = tokens
+      .filter(s => s.length === 64 || s.startsWith('npub'))
+      .map(s => {
+        if (s.startsWith('npub')) {
+          try {
+            const decoded = window.NostrTools.nip19.decode(s);
+            return decoded.data;
+          } catch (e) {
+            return null;
+          }
+        }
+        return s;
+      })
+      .filter(Boolean);
+
+    // name@domain はNIP-05で解決
+    const identifiers = tokens.filter(s => s.includes('@') && window.nip05.isIdentifier(s));
+    const results = await Promise.all(identifiers.map(id => window.nip05.resolve(id)));
+
+    const failed = identifiers.filter((id, i) => !results[i]);
+    if (failed.length > 0) {
+      alert('NIP-05を解決できませんでした:\n' + failed.join('\n'));
+    }
+
+    const found = results.filter(Boolean);
+    await this.addRelayHints(found.flatMap(r => r.relays));
+
+    return [...authors, ...found.map(r => r.pubkey)];
+  }
+
   /**
    * flowgazerしぼりこみ
    */
   toggleFlowgazerFilter(enabled) {
     this.flowgazerOnly = enabled;
     window.timeline.setFilter({ flowgazerOnly: enabled });
+    this.updateNewPostsBanner();
+  }
+
+  /**
+   * NGワード・NGユーザーの設定を適用
+   */
+  setContentFilter(rules) {
+    window.contentFilter.setLocalRules(rules);
+    window.viewState.renderNow();
   }
 
   /**
    * もっと見る
    */
   loadMore() {
-    const oldestTimestamp = window.dataStore.getOldestTimestamp(this.currentTab);
-    
-    const filter = {
-      kinds: [1, 6],
-      until: oldestTimestamp - 1,
-      limit: 50
-    };
+    // 検索タブは検索結果の続き
+    if (this.currentTab === 'search') {
+      window.search.fetch();
+      return;
+    }
 
-    // フィルターや著者の設定
-    if (this.filterAuthors && this.filterAuthors.length > 0) {
-      filter.authors = this.filterAuthors;
-    } else if (this.currentTab === 'following' && window.dataStore.followingPubkeys.size > 0) {
+    window.pagination.load(this.currentTab);
+  }
+
+  /**
+   * 「もっと見る」で使うタブの取得条件（untilとlimitはPaginationがつける）
+   * タブに振り分けられる種類だけを要求する。取得できないタブはnull
+   */
+  getPageFilter(tab) {
+    const filter = { kinds: [1, 6] };
+    const options = {};
+    const myPubkey = window.nostrAuth?.pubkey;
+    const hashtag = this.getHashtagFromTab(tab);
+    const customTab = window.customTabs.get(tab);
+
+    if (tab === 'notifications') {
+      if (!myPubkey) return null;
+      filter.kinds = [1, 6, 7, 9735];
+      filter['#p'] = [myPubkey];
+      return { filter, options };
+    }
+
+    if (tab === 'myposts') {
+      if (!myPubkey) return null;
+      filter.kinds = [1];
+      filter.authors = [myPubkey];
+    } else if (tab === 'following') {
+      if (window.dataStore.followingPubkeys.size === 0) return null;
       filter.authors = Array.from(window.dataStore.followingPubkeys);
-    } else if (this.currentTab === 'myposts' && window.nostrAuth.isLoggedIn()) {
-      filter.authors = [window.nostrAuth.pubkey];
+    } else if (hashtag) {
+      filter.kinds = [1];
+      filter['#t'] = [hashtag];
+    } else if (customTab) {
+      Object.assign(filter, window.customTabs.buildFilter(customTab));
+      delete filter.limit;
+      if (customTab.relays.length > 0) {
+        options.relays = customTab.relays;
+      }
+    } else if (tab !== 'global') {
+      return null;
     }
 
-    console.log(`📥 もっと見る: ${this.currentTab}タブ, until=${new Date(oldestTimestamp * 1000).toLocaleString()}`);
+    // 投稿者しぼりこみは表示にも効くので、取得もその人たちだけに
+    if (this.filterAuthors && this.filterAuthors.length > 0) {
+      filter.authors = filter.authors
+        ? filter.authors.filter(pubkey => this.filterAuthors.includes(pubkey))
+        : this.filterAuthors;
+      if (filter.authors.length === 0) return null;
+    }
 
-    window.relayManager.subscribe('load-more', filter, (type, event) => {
-      if (type === 'EVENT') {
-        if (window.dataStore.addEvent(event)) {
-          window.viewState.addEvent(event, this.currentTab);
-          window.profileFetcher.request(event.pubkey);
-        }
-      } else if (type === 'EOSE') {
-        window.relayManager.unsubscribe('load-more');
-        document.getElementById('load-more').classList.remove('loading');
-        console.log(`✅ もっと見る完了`);
-        window.viewState.renderNow();
-      }
-    });
+    return { filter, options };
   }
 
   /**
@@ -338,36 +1045,192 @@ class FlowgazerApp {
     }
 
     try {
+      const tags = [];
+      const context = this.composeContext;
+
+      if (context?.type === 'reply') {
+        tags.push(...this.buildReplyTags(context.event));
+      } else if (context?.type === 'quote') {
+        const ref = this.getQuoteReference(context.event);
+        if (!content.includes(ref)) {
+          content = content + '\n' + ref;
+        }
+        tags.push(...this.buildQuoteTags(context.event));
+      }
+
+      // 本文のハッシュタグ（小文字のtタグ）
+      window.timeline.extractHashtags(content).forEach(tag => {
+        tags.push(['t', tag]);
+      });
+
+      tags.push(['client', 'flowgazer', '31990:a19caaa8404721584746fb0e174cf971a94e0f51baaf4c4e8c6e54fa88985eaf:1755917022711', 'wss://relay.nostr.band/']);
+
       const event = {
         kind: 1,
         content: content,
         created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['client', 'flowgazer', '31990:a19caaa8404721584746fb0e174cf971a94e0f51baaf4c4e8c6e54fa88985eaf:1755917022711', 'wss://relay.nostr.band/']
-        ]
+        tags
       };
 
       const signed = await window.nostrAuth.signEvent(event);
-      window.relayManager.publish(signed);
+      this.showPublishStatus('投稿', null);
+      const results = await window.relayManager.publish(signed);
 
-      // 即座にDataStoreとViewStateに追加
+      // 受理されたらDataStoreとViewStateに追加
       window.dataStore.addEvent(signed);
       window.viewState.addEvent(signed, this.currentTab);
       window.viewState.renderNow();
+      window.threadView.addIfInThread(signed);
 
-      alert('投稿しました！');
+      this.showPublishStatus('投稿', results);
       document.getElementById('new-post-content').value = '';
+      this.clearComposeContext();
 
     } catch (err) {
       console.error('投稿失敗:', err);
-      alert('投稿に失敗しました: ' + err.message);
+      if (err.results) {
+        this.showPublishStatus('投稿', err.results);
+      } else {
+        alert('投稿に失敗しました: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * 返信用のタグ（NIP-10のマーカー付きe・p）
+   */
+  buildReplyTags(parent) {
+    const relayHint = window.relayManager.getConnectedUrls()[0] || '';
+    const { rootId } = window.dataStore.getThreadRefs(parent);
+    const tags = [];
+
+    if (rootId) {
+      const rootPubkey = window.dataStore.events.get(rootId)?.pubkey;
+      tags.push(['e', rootId, relayHint, 'root', ...(rootPubkey ? [rootPubkey] : [])]);
+      tags.push(['e', parent.id, relayHint, 'reply', parent.pubkey]);
+    } else {
+      tags.push(['e', parent.id, relayHint, 'root', parent.pubkey]);
+    }
+
+    // スレッド参加者全員（返信先の投稿者＋返信先のpタグ）
+    const myPubkey = window.nostrAuth.pubkey;
+    const pubkeys = [parent.pubkey, ...parent.tags.filter(t => t[0] === 'p').map(t => t[1])];
+    new Set(pubkeys).forEach(pk => {
+      if (pk && pk !== myPubkey) {
+        tags.push(['p', pk]);
+      }
+    });
+
+    return tags;
+  }
+
+  /**
+   * 引用用のタグ（NIP-18のq・p）
+   */
+  buildQuoteTags(target) {
+    const relayHint = window.relayManager.getConnectedUrls()[0] || '';
+    const tags = [['q', target.id, relayHint, target.pubkey]];
+
+    if (target.pubkey !== window.nostrAuth.pubkey) {
+      tags.push(['p', target.pubkey]);
+    }
+    return tags;
+  }
+
+  /**
+   * 引用する投稿の nostr:nevent… 参照
+   */
+  getQuoteReference(target) {
+    const nevent = window.NostrTools.nip19.neventEncode({
+      id: target.id,
+      relays: window.relayManager.getConnectedUrls().slice(0, 2),
+      author: target.pubkey,
+      kind: target.kind
+    });
+    return 'nostr:' + nevent;
+  }
+
+  /**
+   * 返信を書き始める
+   */
+  startReply(event) {
+    this.setComposeContext({ type: 'reply', event });
+  }
+
+  /**
+   * 引用を書き始める
+   */
+  startQuote(event) {
+    this.setComposeContext({ type: 'quote', event });
+
+    const textarea = document.getElementById('new-post-content');
+    const ref = this.getQuoteReference(event);
+    if (!textarea.value.includes(ref)) {
+      textarea.value = textarea.value + '\n' + ref;
+    }
+    textarea.setSelectionRange(0, 0);
+  }
+
+  /**
+   * 返信・引用の対象を設定して投稿欄に表示
+   */
+  setComposeContext(context) {
+    this.clearComposeContext();
+    this.composeContext = context;
+
+    const box = document.getElementById('compose-context');
+    const label = document.getElementById('compose-context-label');
+    const name = window.dataStore.getDisplayName(context.event.pubkey);
+    const text = context.event.content.length > 50
+      ? context.event.content.substring(0, 50) + '...'
+      : context.event.content;
+
+    label.textContent = context.type === 'reply'
+      ? `↩ ${name} への返信: ${text}`
+      : `❝ ${name} を引用: ${text}`;
+    box.classList.remove('hidden');
+
+    const textarea = document.getElementById('new-post-content');
+    textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    textarea.focus();
+  }
+
+  /**
+   * 返信・引用を取り消す
+   */
+  clearComposeContext() {
+    const context = this.composeContext;
+    this.composeContext = null;
+    document.getElementById('compose-context').classList.add('hidden');
+
+    // 引用参照は本文からも取り除く
+    if (context?.type === 'quote') {
+      const textarea = document.getElementById('new-post-content');
+      const ref = this.getQuoteReference(context.event);
+      textarea.value = textarea.value.replace('\n' + ref, '').replace(ref, '');
     }
   }
 
   /**
-   * ふぁぼする
+   * ふぁぼマーク（設定の入力欄、空なら '+'）
+   */
+  getDefaultReaction() {
+    return document.getElementById('kind-7-content-input').value.trim() || '+';
+  }
+
+  /**
+   * ふぁぼする（ふぁぼマークで）
    */
   async sendLike(targetEventId, targetPubkey) {
+    const target = window.dataStore.events.get(targetEventId) || { id: targetEventId, pubkey: targetPubkey, kind: 1 };
+    await this.sendReaction(target, { content: this.getDefaultReaction(), url: null });
+  }
+
+  /**
+   * リアクションを送る（NIP-25）
+   * カスタム絵文字は :shortcode: とemojiタグ（NIP-30）で送る
+   */
+  async sendReaction(target, { content, url = null }) {
     if (!window.nostrAuth.canWrite()) {
       alert('ふぁぼるには秘密鍵でのサインインが必要です。');
       showAuthUI();
@@ -375,31 +1238,244 @@ class FlowgazerApp {
     }
 
     try {
-      const kind7Content = document.getElementById('kind-7-content-input').value.trim() || '+';
+      // 手入力の :shortcode: は手持ちのカスタム絵文字から画像を探す
+      const shortcode = content.match(/^:([a-zA-Z0-9_-]+):$/)?.[1];
+      if (shortcode && !url) {
+        url = window.emojiSets.findUrl(shortcode);
+      }
+
+      const tags = [
+        ['e', target.id],
+        ['p', target.pubkey],
+        ['k', String(target.kind)]
+      ];
+      if (shortcode && url) {
+        tags.push(['emoji', shortcode, url]);
+      }
 
       const event = {
         kind: 7,
-        content: kind7Content,
+        content,
+        created_at: Math.floor(Date.now() / 1000),
+        tags
+      };
+
+      const signed = await window.nostrAuth.signEvent(event);
+      this.showPublishStatus('ふぁぼ', null);
+      const results = await window.relayManager.publish(signed);
+
+      // 受理されたら反映
+      window.dataStore.addEvent(signed);
+      window.viewState.addEvent(signed, this.currentTab);
+      window.viewState.renderNow();
+      window.emojiSets.addRecent({ content, url });
+
+      this.showPublishStatus('ふぁぼ', results);
+
+    } catch (err) {
+      console.error('ふぁぼ失敗:', err);
+      if (err.results) {
+        this.showPublishStatus('ふぁぼ', err.results);
+      } else {
+        alert('ふぁぼれませんでした: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * 自分の投稿を削除する
+   */
+  async deletePost(event) {
+    if (!confirm('🗑️この投稿を削除する？')) return;
+    await this.sendDeletion([event], '削除');
+  }
+
+  /**
+   * 投稿への自分のふぁぼを取り消す
+   */
+  async deleteMyReactions(targetEventId) {
+    const reactions = window.dataStore.getReactionsBy(targetEventId, window.nostrAuth.pubkey);
+    if (reactions.length === 0) return;
+    await this.sendDeletion(reactions, 'ふぁぼ取消');
+  }
+
+  /**
+   * 取り消しを送る（NIP-09: kind:5、対象のeタグと種類のkタグ）
+   */
+  async sendDeletion(events, label) {
+    if (!window.nostrAuth.canWrite()) {
+      alert('削除するには秘密鍵でのサインインが必要です。');
+      showAuthUI();
+      return;
+    }
+
+    try {
+      const kinds = Array.from(new Set(events.map(ev => String(ev.kind))));
+
+      const event = {
+        kind: 5,
+        content: '',
         created_at: Math.floor(Date.now() / 1000),
         tags: [
-          ['e', targetEventId],
-          ['p', targetPubkey]
+          ...events.map(ev => ['e', ev.id]),
+          ...kinds.map(kind => ['k', kind])
         ]
       };
 
       const signed = await window.nostrAuth.signEvent(event);
-      window.relayManager.publish(signed);
+      this.showPublishStatus(label, null);
+      const results = await window.relayManager.publish(signed);
 
-      // 即座に反映
+      // 受理されたら反映
+      window.dataStore.addEvent(signed);
+      window.viewState.addEvent(signed, this.currentTab);
+
+      this.showPublishStatus(label, results);
+
+    } catch (err) {
+      console.error(`${label}失敗:`, err);
+      if (err.results) {
+        this.showPublishStatus(label, err.results);
+      } else {
+        alert(`${label}できませんでした: ` + err.message);
+      }
+    }
+  }
+
+  /**
+   * リポストする（NIP-18: 元投稿のJSONを本文に埋め込む）
+   */
+  async sendRepost(target) {
+    if (!window.nostrAuth.canWrite()) {
+      alert('リポストするには秘密鍵でのサインインが必要です。');
+      showAuthUI();
+      return;
+    }
+
+    if (!confirm('🔁リポストする？')) return;
+
+    try {
+      const relayHint = window.relayManager.getConnectedUrls()[0] || '';
+
+      const event = {
+        kind: 6,
+        content: JSON.stringify(target),
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ['e', target.id, relayHint],
+          ['p', target.pubkey]
+        ]
+      };
+
+      const signed = await window.nostrAuth.signEvent(event);
+      this.showPublishStatus('リポスト', null);
+      const results = await window.relayManager.publish(signed);
+
+      // 受理されたら反映
       window.dataStore.addEvent(signed);
       window.viewState.addEvent(signed, this.currentTab);
       window.viewState.renderNow();
 
-      alert('ふぁぼった！');
+      this.showPublishStatus('リポスト', results);
 
     } catch (err) {
-      console.error('ふぁぼ失敗:', err);
-      alert('ふぁぼれませんでした: ' + err.message);
+      console.error('リポスト失敗:', err);
+      if (err.results) {
+        this.showPublishStatus('リポスト', err.results);
+      } else {
+        alert('リポストできませんでした: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * ユーザーをミュート（NIP-51）
+   */
+  async muteUser(pubkey) {
+    const name = window.dataStore.getDisplayName(pubkey);
+    await this.updateMuteList(`🔇${name} をミュートする？`, () => window.muteList.muteUser(pubkey));
+  }
+
+  /**
+   * スレッドをミュート（NIP-51）
+   */
+  async muteThread(event) {
+    const rootId = window.dataStore.getThreadRefs(event).rootId || event.id;
+    await this.updateMuteList('🔇このスレッドをミュートする？', () => window.muteList.muteThread(rootId));
+  }
+
+  /**
+   * ミュートリストを更新して送信
+   */
+  async updateMuteList(message, update) {
+    if (!window.nostrAuth.canWrite()) {
+      alert('ミュートするには秘密鍵でのサインインが必要です。');
+      showAuthUI();
+      return;
+    }
+
+    if (!confirm(message)) return;
+
+    try {
+      this.showPublishStatus('ミュート', null);
+      const results = await update();
+      window.viewState.renderNow();
+      if (results) {
+        this.showPublishStatus('ミュート', results);
+      }
+    } catch (err) {
+      console.error('ミュート失敗:', err);
+      if (err.results) {
+        this.showPublishStatus('ミュート', err.results);
+      } else {
+        alert('ミュートできませんでした: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * 送信結果をリレーごとに表示
+   * resultsがnullなら送信中表示
+   */
+  showPublishStatus(label, results) {
+    const container = document.getElementById('publish-status');
+    if (!container) return;
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    const header = document.createElement('li');
+    if (!results) {
+      header.textContent = `${label}: 送信中...`;
+    } else {
+      const accepted = results.filter(r => r.accepted).length;
+      header.textContent = accepted > 0
+        ? `${label}しました！（${accepted}/${results.length}リレー）`
+        : `${label}に失敗しました`;
+    }
+    container.appendChild(header);
+
+    (results || []).forEach(r => {
+      const li = document.createElement('li');
+      li.className = r.accepted ? 'publish-accepted' : 'publish-rejected';
+      li.textContent = `${r.accepted ? '✅' : '❌'} ${r.url}` + (r.message ? ` (${r.message})` : '');
+      container.appendChild(li);
+    });
+  }
+
+  /**
+   * キャッシュを消去して再読み込み
+   */
+  async clearCache() {
+    if (!confirm('キャッシュを消去しますか？（ページを再読み込みします）')) return;
+
+    try {
+      await window.eventCache.clear();
+      location.reload();
+    } catch (err) {
+      console.error('キャッシュ消去失敗:', err);
+      alert('キャッシュを消去できませんでした: ' + err.message);
     }
   }
 
@@ -415,6 +1491,10 @@ class FlowgazerApp {
       const terms = xmlDoc.querySelectorAll('term');
       this.forbiddenWords = Array.from(terms).map(node => node.textContent);
       console.log('📋 禁止ワードリスト読み込み完了');
+
+      // タイムラインに反映
+      window.contentFilter.setRemoteWords(this.forbiddenWords);
+      window.viewState.renderNow();
     } catch (err) {
       console.error('禁止ワードリスト読み込み失敗:', err);
     }
@@ -168,13 +168,23 @@ function setupAuthEvents() {
     });
     
       // npub入力
-  document.getElementById('npub-login').addEventListener('click', () => {
-    const npub = document.getElementById('npub-input').value.trim();
+  document.getElementById('npub-login').addEventListener('click', async () => {
+    let npub = document.getElementById('npub-input').value.trim();
     if (!npub) {
       alert('npubを入力してください');
       return;
     }
     try {
+      // name@domain はNIP-05で解決
+      if (!npub.startsWith('npub') && window.nip05.isIdentifier(npub)) {
+        const result = await window.nip05.resolve(npub);
+        if (!result) {
+          alert('NIP-05を解決できませんでした: ' + npub);
+          return;
+        }
+        await window.app.addRelayHints(result.relays);
+        npub = NostrTools.nip19.npubEncode(result.pubkey);
+      }
       window.nostrAuth.loginWithNpub(npub);
       updateAuthUI();
       alert('welcome to Nostr！');
@@ -0,0 +1,173 @@
+/**
+ * content-filter.js
+ * NGワード・NGユーザーによる投稿の非表示・折りたたみ
+ * 文字列は全角・半角と大文字・小文字を区別せずに照合する
+ */
+
+class ContentFilter {
+  constructor() {
+    this.remoteWords = [];           // nglist.xmlのNGワード
+    this.localWords = [];            // ユーザー定義のNGワード
+    this.ngUsers = new Set();        // ユーザー定義のNGユーザー（hex）
+    this.mode = 'collapse';          // 'collapse'（たたむ） | 'hide'（隠す）
+
+    this.matchers = [];              // コンパイル済みのNGワード
+    this.results = new Map();        // eventId -> 判定結果（キャッシュ）
+    this.revealedIds = new Set();    // 「表示する」を押した投稿
+
+    this.loadLocalRules();
+  }
+
+  /**
+   * 保存済みのルールを読み込み
+   */
+  loadLocalRules() {
+    this.localWords = this.splitLines(localStorage.getItem('ngWords') || '');
+    this.ngUsers = new Set(this.parsePubkeys(localStorage.getItem('ngUsers') || ''));
+    this.mode = localStorage.getItem('ngMode') === 'hide' ? 'hide' : 'collapse';
+    this.compile();
+  }
+
+  /**
+   * ユーザー定義のルールを設定して保存
+   */
+  setLocalRules({ words, users, mode }) {
+    localStorage.setItem('ngWords', words);
+    localStorage.setItem('ngUsers', users);
+    localStorage.setItem('ngMode', mode);
+    this.loadLocalRules();
+
+    console.log(`🚫 NG設定: ワード${this.localWords.length}件, ユーザー${this.ngUsers.size}人, ${this.mode}`);
+  }
+
+  /**
+   * nglist.xmlのNGワードを設定
+   */
+  setRemoteWords(words) {
+    this.remoteWords = words.map(w => w.trim()).filter(Boolean);
+    this.compile();
+  }
+
+  /**
+   * 改行区切りのテキストを配列に
+   */
+  splitLines(text) {
+    return text.split('\n').map(s => s.trim()).filter(Boolean);
+  }
+
+  /**
+   * npub・hexの一覧をhexの配列に
+   */
+  parsePubkeys(text) {
+    return text.split(/[ ,\n]/)
+      .map(s => s.trim())
+      .map(s => {
+        if (s.startsWith('npub')) {
+          try {
+            return window.NostrTools.nip19.decode(s).data;
+          } catch (e) {
+            return null;
+          }
+        }
+        return /^[0-9a-f]{64}$/i.test(s) ? s.toLowerCase() : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 照合用に正規化（全角英数→半角、半角カナ→全角、小文字化）
+   */
+  normalize(text) {
+    return text.normalize('NFKC').toLowerCase();
+  }
+
+  /**
+   * NGワードをコンパイル
+   * /pattern/flags は正規表現、それ以外は部分一致
+   * 正規表現も本文と同じく全角・半角をそろえてから使う（大文字・小文字はiフラグで無視）
+   * \Sなどのエスケープを壊さないよう、小文字化はしない
+   */
+  compile() {
+    const words = [...this.remoteWords, ...this.localWords];
+
+    this.matchers = words.map(word => {
+      const regexMatch = word.match(/^\/(.+)\/([a-z]*)$/);
+      if (regexMatch) {
+        try {
+          const flags = regexMatch[2].includes('i') ? regexMatch[2] : regexMatch[2] + 'i';
+          const regex = new RegExp(regexMatch[1].normalize('NFKC'), flags.replace('g', ''));
+          return { word, test: text => regex.test(text) };
+        } catch (err) {
+          console.warn('⚠️ 正規表現が不正なため部分一致で扱います:', word);
+        }
+      }
+
+      const term = this.normalize(word);
+      return { word, test: text => text.includes(term) };
+    });
+
+    this.results.clear();
+  }
+
+  /**
+   * 投稿がNGに該当するか判定
+   * 該当すれば理由の文字列、しなければnull
+   */
+  check(event) {
+    if (this.results.has(event.id)) {
+      return this.results.get(event.id);
+    }
+
+    let reason = null;
+    let resolved = true;
+
+    if (this.ngUsers.has(event.pubkey)) {
+      reason = 'NGユーザー';
+    } else if (event.kind === 1) {
+      const text = this.normalize(event.content);
+      if (this.matchers.some(m => m.test(text))) {
+        reason = 'NGワード';
+      }
+    } else if (event.kind === 6) {
+      // リポストは元投稿で判定
+      const targetId = window.dataStore.getRepostTargetId(event);
+      const target = targetId && window.dataStore.events.get(targetId);
+      if (target) {
+        reason = this.check(target);
+      } else {
+        // リポスト元が未取得の間は判定を確定しない
+        resolved = false;
+      }
+    }
+
+    if (resolved) {
+      this.results.set(event.id, reason);
+    }
+    return reason;
+  }
+
+  /**
+   * 一覧から外すべきか（隠すモード）
+   */
+  shouldHide(event) {
+    return this.mode === 'hide' && !this.revealedIds.has(event.id) && this.check(event) !== null;
+  }
+
+  /**
+   * たたんで表示すべきか（たたむモード）
+   */
+  shouldCollapse(event) {
+    return this.mode === 'collapse' && !this.revealedIds.has(event.id) && this.check(event) !== null;
+  }
+
+  /**
+   * 「表示する」を押した投稿を記録
+   */
+  reveal(eventId) {
+    this.revealedIds.add(eventId);
+  }
+}
+
+// グローバルインスタンス
+window.contentFilter = new ContentFilter();
+console.log('✅ ContentFilter初期化完了');
@@ -0,0 +1,167 @@
+/**
+ * custom-tabs.js
+ * ユーザー定義のタブ（投稿者・kind・ハッシュタグ・リレー・flowgazerしぼりこみ）
+ * 定義はlocalStorageに保存し、投稿者の一覧はNIP-51 kind:30000のリストとしても保存できる
+ */
+
+class CustomTabs {
+  constructor() {
+    this.tabs = this.load();         // [{ id, name, authors, kinds, hashtags, relays, flowgazerOnly, dTag, listCreatedAt }]
+  }
+
+  /**
+   * 保存済みのタブ定義を読み込み
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('customTabs') || '[]');
+      return Array.isArray(saved) ? saved.filter(tab => tab?.id && tab?.name) : [];
+    } catch (err) {
+      console.error('❌ カスタムタブ読み込み失敗:', err);
+      return [];
+    }
+  }
+
+  /**
+   * タブ定義を保存
+   */
+  save() {
+    localStorage.setItem('customTabs', JSON.stringify(this.tabs));
+  }
+
+  /**
+   * すべてのタブ
+   */
+  getTabs() {
+    return this.tabs;
+  }
+
+  /**
+   * タブ名（custom:…）から定義を取得
+   */
+  get(tabId) {
+    return this.tabs.find(tab => tab.id === tabId) || null;
+  }
+
+  /**
+   * タブを追加
+   */
+  add({ name, authors = [], kinds = [1, 6], hashtags = [], relays = [], flowgazerOnly = false }) {
+    const dTag = `flowgazer-${Date.now().toString(36)}`;
+    const tab = {
+      id: `custom:${dTag}`,
+      name,
+      authors,
+      kinds,
+      hashtags: hashtags.map(tag => tag.replace(/^#/, '').toLowerCase()),
+      relays,
+      flowgazerOnly,
+      dTag,
+      listCreatedAt: 0
+    };
+
+    this.tabs.push(tab);
+    this.save();
+    console.log('🗂️ カスタムタブを追加:', tab);
+    return tab;
+  }
+
+  /**
+   * タブを削除（kind:30000のリストはリレーに残る）
+   */
+  remove(tabId) {
+    this.tabs = this.tabs.filter(tab => tab.id !== tabId);
+    this.save();
+  }
+
+  /**
+   * イベントがタブの条件に一致するか
+   */
+  matches(tab, event) {
+    if (!tab.kinds.includes(event.kind)) return false;
+    if (tab.authors.length > 0 && !tab.authors.includes(event.pubkey)) return false;
+
+    if (tab.hashtags.length > 0) {
+      return event.tags.some(t => t[0] === 't' && t[1] && tab.hashtags.includes(t[1].toLowerCase()));
+    }
+    return true;
+  }
+
+  /**
+   * タブの購読フィルター
+   */
+  buildFilter(tab) {
+    const filter = { kinds: tab.kinds, limit: 50 };
+    if (tab.authors.length > 0) filter.authors = tab.authors;
+    if (tab.hashtags.length > 0) filter['#t'] = tab.hashtags;
+    return filter;
+  }
+
+  /**
+   * NIP-51: 投稿者の一覧をkind:30000（フォローセット）として送信
+   */
+  async publishList(tab) {
+    const event = {
+      kind: 30000,
+      content: '',
+      created_at: Math.max(Math.floor(Date.now() / 1000), tab.listCreatedAt + 1),
+      tags: [
+        ['d', tab.dTag],
+        ['title', tab.name],
+        ...tab.authors.map(pubkey => ['p', pubkey])
+      ]
+    };
+
+    const signed = await window.nostrAuth.signEvent(event);
+    const results = await window.relayManager.publish(signed);
+
+    tab.listCreatedAt = signed.created_at;
+    this.save();
+
+    return results;
+  }
+
+  /**
+   * kind:30000のリストをタブとして取り込む
+   * 同じdタグのタブがあれば投稿者の一覧だけ新しいものに置き換える
+   */
+  importList(event) {
+    if (event.kind !== 30000) return null;
+
+    const dTag = event.tags.find(t => t[0] === 'd')?.[1];
+    if (!dTag) return null;
+
+    const authors = event.tags
+      .filter(t => t[0] === 'p' && /^[0-9a-f]{64}$/.test(t[1] || ''))
+      .map(t => t[1]);
+    const name = event.tags.find(t => t[0] === 'title')?.[1] || dTag;
+
+    const existing = this.tabs.find(tab => tab.dTag === dTag);
+    if (existing) {
+      if (existing.listCreatedAt >= event.created_at) return null;
+      existing.authors = authors;
+      existing.listCreatedAt = event.created_at;
+      this.save();
+      return existing;
+    }
+
+    const tab = {
+      id: `custom:${dTag}`,
+      name,
+      authors,
+      kinds: [1, 6],
+      hashtags: [],
+      relays: [],
+      flowgazerOnly: false,
+      dTag,
+      listCreatedAt: event.created_at
+    };
+    this.tabs.push(tab);
+    this.save();
+    return tab;
+  }
+}
+
+// グローバルインスタンス
+window.customTabs = new CustomTabs();
+console.log('✅ CustomTabs初期化完了');
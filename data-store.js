@@ -13,20 +13,22 @@ class DataStore {
 
     // カテゴリ別のイベントID管理
     this.myPostIds = new Set();           // 自分の投稿
-    this.receivedLikeIds = new Set();     // 自分が受け取ったkind:7
     this.followingPubkeys = new Set();    // フォロー中のpubkey
     this.likedByMeIds = new Set();        // 自分がふぁぼした投稿ID
 
-    // リアクションカウント
-    this.reactionCounts = new Map(); // eventId -> { reposts: 0, reactions: 0 }
+    // 自分の最新のフォローリスト（kind:3）
+    this.contactList = null;
 
-    // タブ別の最古タイムスタンプ
-    this.oldestTimestamps = {
-      global: Date.now() / 1000,
-      following: Date.now() / 1000,
-      myposts: Date.now() / 1000,
-      likes: Date.now() / 1000
-    };
+    // リアクション（kind:7）とリポスト（kind:6）を対象の投稿ごとに
+    // 集計時に（対象, リアクションした人, 内容）で重複を除く
+    this.reactions = new Map(); // 対象の投稿ID -> Map(eventId -> event)
+    this.reposts = new Map();   // 対象の投稿ID -> Map(eventId -> event)
+
+    // NIP-09: kind:5で取り消されたイベント（本人の取り消しだけ有効）
+    this.deletions = new Map(); // eventId -> Set(取り消した人のpubkey)
+
+    // タブ別の最古タイムスタンプ（タブ名 -> created_at、タブは任意）
+    this.oldestTimestamps = {};
   }
 
   /**
@@ -44,44 +46,75 @@ class DataStore {
       return false;
     }
 
-    // 保存
-    this.events.set(event.id, event);
+    // 本人が取り消し済み
+    if (this.isDeleted(event)) {
+      return false;
+    }
 
-    // カテゴリ分け
-    this.categorizeEvent(event);
+    this.storeEvent(event);
 
-    // タブ別の最古タイムスタンプを更新
-    this.updateOldestTimestamps(event);
+    // IndexedDBにも保存
+    window.eventCache?.putEvent(event);
 
     return true;
   }
 
   /**
-   * タブ別の最古タイムスタンプを更新
+   * 検証済みイベントを保存してカテゴリ分け
    */
-  updateOldestTimestamps(event) {
-    const myPubkey = window.nostrAuth?.pubkey;
-
-    // kind:1, 6のみ対象
-    if (event.kind !== 1 && event.kind !== 6) return;
+  storeEvent(event) {
+    // 保存
+    this.events.set(event.id, event);
 
-    // グローバル
-    if (event.created_at < this.oldestTimestamps.global) {
-      this.oldestTimestamps.global = event.created_at;
-    }
+    // カテゴリ分け
+    this.categorizeEvent(event);
+  }
 
-    // フォロー中
-    if (this.followingPubkeys.has(event.pubkey)) {
-      if (event.created_at < this.oldestTimestamps.following) {
-        this.oldestTimestamps.following = event.created_at;
+  /**
+   * IndexedDBのキャッシュから復元
+   * 復元したイベントを返す（ViewStateへの振り分け用）
+   */
+  async hydrate() {
+    if (!window.eventCache) return [];
+
+    const { events, profiles } = await window.eventCache.loadAll();
+
+    profiles.forEach(({ pubkey, profile }) => {
+      this.addProfile(pubkey, profile, { cache: false });
+    });
+
+    // フォローリストを先に復元（フォロータブの振り分けに必要）
+    events
+      .filter(ev => ev.kind === 3 && this.isVerifiedOwnEvent(ev))
+      .forEach(ev => this.setContactList(ev, { cache: false }));
+
+    // 取り消し（kind:5）を先に反映しておく
+    events
+      .filter(ev => ev.kind === 5)
+      .forEach(ev => this.applyDeletion(ev));
+
+    // キャッシュ済みのイベントは検証済みなので署名検証を省く（取り消されたものはキャッシュからも消す）
+    const restored = events.filter(ev => {
+      if (ev.kind === 3 || this.events.has(ev.id)) return false;
+      if (this.isDeleted(ev)) {
+        window.eventCache.deleteEvent(ev.id);
+        return false;
       }
-    }
+      return true;
+    });
+    restored.forEach(ev => this.storeEvent(ev));
 
-    // 自分の投稿
-    if (event.kind === 1 && event.pubkey === myPubkey) {
-      if (event.created_at < this.oldestTimestamps.myposts) {
-        this.oldestTimestamps.myposts = event.created_at;
-      }
+    console.log(`💾 キャッシュから復元: ${restored.length}件`);
+    return restored;
+  }
+
+  /**
+   * タブ別の最古タイムスタンプを更新
+   * タブへの振り分けはViewStateが行い、表示対象になったときに呼ばれる
+   */
+  updateOldestTimestamp(tab, createdAt) {
+    if (!this.oldestTimestamps[tab] || createdAt < this.oldestTimestamps[tab]) {
+      this.oldestTimestamps[tab] = createdAt;
     }
   }
 
@@ -96,54 +129,197 @@ class DataStore {
       this.myPostIds.add(event.id);
     }
 
-    // 自分が受け取ったkind:7
+    // kind:7（リアクション）
     if (event.kind === 7) {
-      const targetPubkey = event.tags.find(t => t[0] === 'p')?.[1];
-      if (targetPubkey === myPubkey) {
-        this.receivedLikeIds.add(event.id);
-      }
+      this.indexReaction(event);
+    }
 
-      // 自分がふぁぼした
-      if (event.pubkey === myPubkey) {
-        const targetEventId = event.tags.find(t => t[0] === 'e')?.[1];
-        if (targetEventId) {
-          this.likedByMeIds.add(targetEventId);
-        }
-      }
+    // kind:6（リポスト）と埋め込まれた元投稿
+    if (event.kind === 6) {
+      this.indexReaction(event);
+      this.addEmbeddedRepost(event);
+    }
 
-      // リアクションカウント
-      this.updateReactionCount(event);
+    // kind:5（取り消し）
+    if (event.kind === 5) {
+      this.applyDeletion(event);
     }
+  }
 
-    // kind:6（リポスト）のカウント
-    if (event.kind === 6) {
-      this.updateReactionCount(event);
+  /**
+   * NIP-18: kind:6の本文に埋め込まれた元投稿を取り込む
+   * 署名検証はaddEventで行う
+   */
+  addEmbeddedRepost(event) {
+    if (!event.content) return;
+
+    try {
+      const inner = JSON.parse(event.content);
+      const targetId = this.getRepostTargetId(event);
+
+      if (inner?.kind !== 1 || (targetId && inner.id !== targetId)) return;
+
+      this.addEvent(inner);
+    } catch (err) {
+      // 埋め込みなし・不正なJSONはeタグから取得する
     }
   }
 
   /**
-   * リアクション数を更新
+   * リポスト元の投稿IDを取得
+   */
+  getRepostTargetId(event) {
+    return event.tags.find(t => t[0] === 'e')?.[1] || null;
+  }
+
+  /**
+   * NIP-25: リアクションの対象の投稿ID（最後のeタグ）
    */
-  updateReactionCount(event) {
-    const targetId = event.tags.find(t => t[0] === 'e')?.[1];
+  getReactionTargetId(event) {
+    return event.tags.filter(t => t[0] === 'e').pop()?.[1] || null;
+  }
+
+  /**
+   * リアクションの種類
+   * '+'・空は like、'-' は dislike、それ以外は絵文字（NIP-30の :shortcode: は画像つき）
+   */
+  parseReaction(event) {
+    const content = event.content.trim();
+    if (content === '' || content === '+') return { type: 'like', content: '+', url: null };
+    if (content === '-') return { type: 'dislike', content: '-', url: null };
+
+    const shortcode = content.match(/^:([a-zA-Z0-9_-]+):$/)?.[1];
+    const url = shortcode
+      ? event.tags.find(t => t[0] === 'emoji' && t[1] === shortcode)?.[2] || null
+      : null;
+    return { type: 'emoji', content, url };
+  }
+
+  /**
+   * リアクション・リポストを対象の投稿ごとに登録
+   */
+  indexReaction(event) {
+    if (this.isDeleted(event)) return;
+
+    const targetId = event.kind === 6 ? this.getRepostTargetId(event) : this.getReactionTargetId(event);
     if (!targetId) return;
 
-    if (!this.reactionCounts.has(targetId)) {
-      this.reactionCounts.set(targetId, { reposts: 0, reactions: 0 });
+    const index = event.kind === 6 ? this.reposts : this.reactions;
+    if (!index.has(targetId)) {
+      index.set(targetId, new Map());
     }
+    index.get(targetId).set(event.id, event);
 
-    const counts = this.reactionCounts.get(targetId);
-    if (event.kind === 6) {
-      counts.reposts++;
-    } else if (event.kind === 7) {
-      counts.reactions++;
+    // 自分がふぁぼした（dislikeは除く）
+    if (event.kind === 7 && event.pubkey === window.nostrAuth?.pubkey &&
+        this.parseReaction(event).type !== 'dislike') {
+      this.likedByMeIds.add(targetId);
+    }
+  }
+
+  /**
+   * リアクション・リポストの登録を外す（取り消されたとき）
+   */
+  unindexReaction(event) {
+    if (event.kind !== 6 && event.kind !== 7) return;
+
+    const targetId = event.kind === 6 ? this.getRepostTargetId(event) : this.getReactionTargetId(event);
+    const index = event.kind === 6 ? this.reposts : this.reactions;
+    const entries = index.get(targetId);
+    if (!entries) return;
+
+    entries.delete(event.id);
+
+    // 自分のふぁぼがほかに残っていなければ、ふぁぼ済みを外す
+    if (event.kind === 7 && event.pubkey === window.nostrAuth?.pubkey) {
+      const stillLiked = Array.from(entries.values()).some(ev =>
+        ev.pubkey === event.pubkey && this.parseReaction(ev).type !== 'dislike'
+      );
+      if (!stillLiked) {
+        this.likedByMeIds.delete(targetId);
+      }
+    }
+  }
+
+  /**
+   * NIP-09: kind:5の取り消しを反映
+   * 取り消し対象がまだ届いていなくても記録しておき、後から届いたときに除く
+   * @returns {string[]} 取り除いたイベントID
+   */
+  applyDeletion(event) {
+    const removed = [];
+
+    event.tags.forEach(t => {
+      if (t[0] !== 'e' || !t[1]) return;
+
+      if (!this.deletions.has(t[1])) {
+        this.deletions.set(t[1], new Set());
+      }
+      this.deletions.get(t[1]).add(event.pubkey);
+
+      const target = this.events.get(t[1]);
+      if (target?.pubkey === event.pubkey && target.kind !== 5) {
+        this.removeEvent(target);
+        removed.push(target.id);
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * イベントを取り除く（取り消されたとき）
+   */
+  removeEvent(event) {
+    this.events.delete(event.id);
+    this.myPostIds.delete(event.id);
+    this.unindexReaction(event);
+    window.eventCache?.deleteEvent(event.id);
+  }
+
+  /**
+   * ある人が投稿に付けたリアクション
+   */
+  getReactionsBy(eventId, pubkey) {
+    return Array.from(this.reactions.get(eventId)?.values() || [])
+      .filter(event => event.pubkey === pubkey);
+  }
+
+  /**
+   * 本人によって取り消されたイベントか
+   */
+  isDeleted(event) {
+    return this.deletions.get(event.id)?.has(event.pubkey) || false;
+  }
+
+  /**
+   * kind:0を署名検証してプロフィールに（IndexedDBにも保存される）
+   * @returns {boolean} 更新したか
+   */
+  addProfileEvent(event) {
+    if (event.kind !== 0 || !window.NostrTools.verifyEvent(event)) {
+      console.warn('⚠️ 署名が無効なプロフィール:', event.id);
+      return false;
+    }
+
+    try {
+      const profile = JSON.parse(event.content);
+      return this.addProfile(event.pubkey, {
+        ...profile,
+        created_at: event.created_at
+      });
+    } catch (err) {
+      console.error('❌ プロファイルパースエラー:', err);
+      return false;
     }
   }
 
   /**
    * プロフィールを追加
    */
-  addProfile(pubkey, profileData) {
+  addProfile(pubkey, profileData, options = {}) {
+    const { cache = true } = options;
+
     // 既存プロフィールより古い場合はスキップ
     const existing = this.profiles.get(pubkey);
     if (existing && existing.created_at >= profileData.created_at) {
@@ -151,6 +327,38 @@ class DataStore {
     }
 
     this.profiles.set(pubkey, profileData);
+
+    if (cache) {
+      window.eventCache?.putProfile(pubkey, profileData);
+    }
+    return true;
+  }
+
+  /**
+   * 自分が署名したイベントか（フォローリストなど、編集して署名し直すもの用）
+   */
+  isVerifiedOwnEvent(event) {
+    const myPubkey = window.nostrAuth?.pubkey;
+    return !!myPubkey && event?.pubkey === myPubkey && window.NostrTools.verifyEvent(event);
+  }
+
+  /**
+   * フォローリスト（kind:3）を設定
+   * 手元のものより古いリストは無視する
+   */
+  setContactList(event, options = {}) {
+    const { cache = true } = options;
+
+    if (this.contactList && this.contactList.created_at >= event.created_at) {
+      return false;
+    }
+
+    this.contactList = event;
+    this.setFollowingList(event.tags.filter(t => t[0] === 'p').map(t => t[1]));
+
+    if (cache) {
+      window.eventCache?.putEvent(event);
+    }
     return true;
   }
 
@@ -164,60 +372,10 @@ class DataStore {
   }
 
   /**
-   * タブ別のイベントを取得
-   */
-  getEventsByTab(tab, filterOptions = {}) {
-    const { flowgazerOnly = false } = filterOptions;
-    let eventIds = [];
-
-    switch (tab) {
-      case 'global':
-        // 全イベント（kind:1, 6）
-        eventIds = Array.from(this.events.keys())
-          .filter(id => {
-            const ev = this.events.get(id);
-            return ev.kind === 1 || ev.kind === 6;
-          });
-        break;
-
-      case 'following':
-        // フォロー中のユーザーの投稿
-        eventIds = Array.from(this.events.keys())
-          .filter(id => {
-            const ev = this.events.get(id);
-            return (ev.kind === 1 || ev.kind === 6) && 
-                   this.followingPubkeys.has(ev.pubkey);
-          });
-        break;
-
-      case 'myposts':
-        // 自分の投稿
-        eventIds = Array.from(this.myPostIds);
-        break;
-
-      case 'likes':
-        // 自分が受け取ったkind:7
-        eventIds = Array.from(this.receivedLikeIds);
-        break;
-
-      default:
-        return [];
-    }
-
-    // flowgazerしぼりこみ
-    if (flowgazerOnly && tab !== 'likes') {
-      eventIds = eventIds.filter(id => {
-        const ev = this.events.get(id);
-        return ev.kind === 1 && 
-               ev.tags.some(tag => tag[0] === 'client' && tag[1] === 'flowgazer');
-      });
-    }
-
-    // イベントオブジェクトを取得してソート
-    return eventIds
-      .map(id => this.events.get(id))
-      .filter(Boolean)
-      .sort((a, b) => b.created_at - a.created_at);
+   * フォロー中かチェック
+   */
+  isFollowing(pubkey) {
+    return this.followingPubkeys.has(pubkey);
   }
 
   /**
@@ -244,10 +402,87 @@ class DataStore {
   }
 
   /**
-   * リアクション数を取得
+   * NIP-10: スレッド参照（root・reply）を取得
+   * マーカー付きのeタグを優先し、なければ位置で判定する（非推奨形式）
    */
-  getReactionCount(eventId) {
-    return this.reactionCounts.get(eventId) || { reposts: 0, reactions: 0 };
+  getThreadRefs(event) {
+    const eTags = event.tags.filter(t => t[0] === 'e' && t[1]);
+    const none = { rootId: null, replyId: null, mentionIds: [] };
+
+    if (event.kind !== 1 || eTags.length === 0) return none;
+
+    // マーカー付き
+    if (eTags.some(t => t[3])) {
+      const rootId = eTags.find(t => t[3] === 'root')?.[1] || null;
+      const replyId = eTags.find(t => t[3] === 'reply')?.[1] || rootId;
+      const mentionIds = eTags.filter(t => t[3] === 'mention').map(t => t[1]);
+      return { rootId: rootId || replyId, replyId, mentionIds };
+    }
+
+    // 位置による指定（最初がroot、最後がreply）
+    return {
+      rootId: eTags[0][1],
+      replyId: eTags[eTags.length - 1][1],
+      mentionIds: eTags.slice(1, -1).map(t => t[1])
+    };
+  }
+
+  /**
+   * 返信先の投稿者を取得
+   * 返信先が手元にあればその投稿者、なければ最初のpタグ
+   */
+  getReplyTargetPubkey(event) {
+    const { replyId } = this.getThreadRefs(event);
+    if (!replyId) return null;
+
+    const parent = this.events.get(replyId);
+    if (parent) return parent.pubkey;
+
+    return event.tags.find(t => t[0] === 'p')?.[1] || null;
+  }
+
+  /**
+   * リアクションの内訳
+   * 同じ人の同じ内容のリアクションは1つと数える
+   * @returns {{ likes: string[], dislikes: string[], emojis: { content, url, pubkeys: string[] }[], reposts: string[] }}
+   */
+  getReactionSummary(eventId) {
+    const likes = new Set();
+    const dislikes = new Set();
+    const emojis = new Map(); // 内容（と画像） -> { content, url, pubkeys }
+
+    this.reactions.get(eventId)?.forEach(event => {
+      // 本人が取り消したリアクションは数えない
+      if (this.isDeleted(event)) return;
+
+      const reaction = this.parseReaction(event);
+
+      if (reaction.type === 'like') {
+        likes.add(event.pubkey);
+      } else if (reaction.type === 'dislike') {
+        dislikes.add(event.pubkey);
+      } else {
+        const key = reaction.url ? `${reaction.content} ${reaction.url}` : reaction.content;
+        if (!emojis.has(key)) {
+          emojis.set(key, { content: reaction.content, url: reaction.url, pubkeys: new Set() });
+        }
+        emojis.get(key).pubkeys.add(event.pubkey);
+      }
+    });
+
+    const reposts = new Set();
+    this.reposts.get(eventId)?.forEach(event => {
+      if (!this.isDeleted(event)) reposts.add(event.pubkey);
+    });
+
+    return {
+      likes: Array.from(likes),
+      dislikes: Array.from(dislikes),
+      emojis: Array.from(emojis.values())
+        .map(emoji => ({ ...emoji, pubkeys: Array.from(emoji.pubkeys) }))
+        .sort((a, b) => b.pubkeys.length - a.pubkeys.length),
+      reposts: Array.from(reposts)
+    };
   }
 
   /**
@@ -257,6 +492,26 @@ class DataStore {
     return this.oldestTimestamps[tab] || Date.now() / 1000;
   }
 
+  /**
+   * フィルターに一致する最新イベントの時刻を取得（差分取得用）
+   */
+  getNewestTimestamp(filter) {
+    let newest = 0;
+    this.events.forEach(event => {
+      if (event.created_at > newest && window.NostrTools.matchFilter(filter, event)) {
+        newest = event.created_at;
+      }
+    });
+    return newest || null;
+  }
+
+  /**
+   * 表示したイベントをキャッシュ上で最近使ったことにする
+   */
+  touchEvent(eventId) {
+    window.eventCache?.touch(eventId);
+  }
+
   /**
    * ふぁぼ済みかチェック
    */
@@ -271,17 +526,13 @@ class DataStore {
     this.events.clear();
     this.profiles.clear();
     this.myPostIds.clear();
-    this.receivedLikeIds.clear();
     this.followingPubkeys.clear();
     this.likedByMeIds.clear();
-    this.reactionCounts.clear();
-    const now = Date.now() / 1000;
-    this.oldestTimestamps = {
-      global: now,
-      following: now,
-      myposts: now,
-      likes: now
-    };
+    this.contactList = null;
+    this.reactions.clear();
+    this.reposts.clear();
+    this.deletions.clear();
+    this.oldestTimestamps = {};
     console.log('🗑️ データストアをクリアしました');
   }
 
@@ -293,7 +544,6 @@ class DataStore {
       totalEvents: this.events.size,
       profiles: this.profiles.size,
       myPosts: this.myPostIds.size,
-      receivedLikes: this.receivedLikeIds.size,
       following: this.followingPubkeys.size
     };
   }
@@ -0,0 +1,144 @@
+/**
+ * emoji-sets.js
+ * リアクションに使う絵文字
+ * 最近使ったもの、ユニコード絵文字、NIP-51の絵文字リスト（kind:10030）と
+ * そこから参照される絵文字セット（kind:30030）のカスタム絵文字（NIP-30）
+ */
+
+class EmojiSets {
+  constructor() {
+    this.listEvent = null;           // 最新のkind:10030
+    this.sets = new Map();           // "30030:pubkey:d" -> { title, emojis, created_at }
+    this.maxRecent = 16;
+    this.recent = this.loadRecent(); // [{ content, url }]
+
+    // よく使うユニコード絵文字
+    this.unicode = [
+      '⭐', '❤️', '👍', '👎', '😂', '🥰', '😭', '🎉',
+      '🙏', '👀', '🤔', '🔥', '💯', '🫡', '🍵', '🍣'
+    ];
+
+    this.shortcodePattern = /^[a-zA-Z0-9_-]+$/;
+  }
+
+  /**
+   * 最近使った絵文字を読み込み
+   */
+  loadRecent() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('recentReactions') || '[]');
+      return Array.isArray(saved) ? saved.filter(r => typeof r?.content === 'string') : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * 最近使った絵文字に追加（先頭へ）
+   */
+  addRecent({ content, url = null }) {
+    this.recent = [
+      { content, url },
+      ...this.recent.filter(r => r.content !== content || r.url !== url)
+    ].slice(0, this.maxRecent);
+    localStorage.setItem('recentReactions', JSON.stringify(this.recent));
+  }
+
+  /**
+   * emojiタグから絵文字を取り出す
+   */
+  parseEmojiTags(tags) {
+    return tags
+      .filter(t => t[0] === 'emoji' && this.shortcodePattern.test(t[1] || '') && /^https?:\/\//.test(t[2] || ''))
+      .map(t => ({ shortcode: t[1], url: t[2] }));
+  }
+
+  /**
+   * kind:10030を読み込む（手元より古いものは無視）
+   * @returns {string[]|null} 参照されている絵文字セットのアドレス（新しくなければnull）
+   */
+  loadList(event) {
+    if (this.listEvent && this.listEvent.created_at >= event.created_at) {
+      return null;
+    }
+    this.listEvent = event;
+
+    const addresses = event.tags
+      .filter(t => t[0] === 'a' && t[1]?.startsWith('30030:'))
+      .map(t => t[1]);
+
+    console.log(`😀 絵文字リスト: 絵文字${this.parseEmojiTags(event.tags).length}件, セット${addresses.length}件`);
+    return addresses;
+  }
+
+  /**
+   * kind:30030（絵文字セット）を読み込む
+   */
+  addSet(event) {
+    const d = event.tags.find(t => t[0] === 'd')?.[1];
+    if (d === undefined) return;
+
+    const address = `30030:${event.pubkey}:${d}`;
+    const existing = this.sets.get(address);
+    if (existing && existing.created_at >= event.created_at) return;
+
+    this.sets.set(address, {
+      title: event.tags.find(t => t[0] === 'title')?.[1] || d,
+      emojis: this.parseEmojiTags(event.tags),
+      created_at: event.created_at
+    });
+  }
+
+  /**
+   * 絵文字セットのアドレスを購読フィルターに
+   */
+  buildSetFilters(addresses) {
+    return addresses
+      .map(address => {
+        const [, pubkey, ...rest] = address.split(':');
+        if (!/^[0-9a-f]{64}$/.test(pubkey || '')) return null;
+        return { kinds: [30030], authors: [pubkey], '#d': [rest.join(':')] };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * shortcodeからカスタム絵文字の画像URLを探す
+   */
+  findUrl(shortcode) {
+    for (const group of this.getCustomGroups()) {
+      const emoji = group.emojis.find(e => e.shortcode === shortcode);
+      if (emoji) return emoji.url;
+    }
+    return null;
+  }
+
+  /**
+   * ピッカーに並べるカスタム絵文字（リスト直下のものと、参照しているセットごと）
+   * @returns {{ title: string, emojis: { shortcode, url }[] }[]}
+   */
+  getCustomGroups() {
+    if (!this.listEvent) return [];
+
+    const groups = [];
+    const own = this.parseEmojiTags(this.listEvent.tags);
+    if (own.length > 0) {
+      groups.push({ title: 'カスタム絵文字', emojis: own });
+    }
+
+    this.listEvent.tags
+      .filter(t => t[0] === 'a' && this.sets.has(t[1]))
+      .forEach(t => {
+        const set = this.sets.get(t[1]);
+        if (set.emojis.length > 0) {
+          groups.push({ title: set.title, emojis: set.emojis });
+        }
+      });
+
+    return groups;
+  }
+}
+
+// グローバルインスタンス
+window.emojiSets = new EmojiSets();
+console.log('✅ EmojiSets初期化完了');
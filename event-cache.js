@@ -0,0 +1,255 @@
+/**
+ * event-cache.js
+ * 検証済みイベントと最新プロフィール（kind:0）をIndexedDBに保存する
+ * 書き込みはまとめて行い、上限を超えたら古く使われていないものから消す（LRU）
+ */
+
+class EventCache {
+  constructor() {
+    this.dbName = 'flowgazer-cache';
+    this.dbVersion = 1;
+    this.maxEvents = 5000;           // イベントの保存上限
+    this.maxProfiles = 2000;         // プロフィールの保存上限
+    this.flushDelay = 1000;          // 書き込みをまとめる遅延（ms）
+
+    // 消すと表示が戻ってしまうもの（取り消し・フォローリスト）は上限を超えても消さない
+    this.pinnedKinds = new Set([3, 5]);
+
+    this.db = null;
+    this.opening = null;
+
+    // 書き込み待ち
+    this.pendingEvents = new Map();   // eventId -> record
+    this.pendingProfiles = new Map(); // pubkey -> record
+    this.touchedEventIds = new Set(); // 最終アクセスを更新するイベントID
+    this.deletedEventIds = new Set(); // 削除するイベントID（取り消されたもの）
+    this.flushTimer = null;
+  }
+
+  /**
+   * DBを開く
+   */
+  open() {
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDBが使えません'));
+        return;
+      }
+
+      const req = indexedDB.open(this.dbName, this.dbVersion);
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // { id, event, lastAccess }
+        const events = db.createObjectStore('events', { keyPath: 'id' });
+        events.createIndex('lastAccess', 'lastAccess');
+        // { pubkey, profile, lastAccess }
+        const profiles = db.createObjectStore('profiles', { keyPath: 'pubkey' });
+        profiles.createIndex('lastAccess', 'lastAccess');
+      };
+
+      req.onsuccess = () => {
+        this.db = req.result;
+        console.log('✅ EventCache: DBを開きました');
+        resolve(this.db);
+      };
+
+      req.onerror = () => reject(req.error);
+    });
+
+    return this.opening;
+  }
+
+  /**
+   * キャッシュをすべて読み込む
+   * 失敗してもアプリは動くよう、空の結果を返す
+   */
+  async loadAll() {
+    try {
+      const db = await this.open();
+      const tx = db.transaction(['events', 'profiles'], 'readonly');
+      const [eventRecords, profileRecords] = await Promise.all([
+        this.request(tx.objectStore('events').getAll()),
+        this.request(tx.objectStore('profiles').getAll())
+      ]);
+
+      console.log(`💾 キャッシュ読み込み: イベント${eventRecords.length}件, プロフィール${profileRecords.length}件`);
+
+      return {
+        events: eventRecords.map(r => r.event),
+        profiles: profileRecords.map(r => ({ pubkey: r.pubkey, profile: r.profile }))
+      };
+
+    } catch (err) {
+      console.error('❌ キャッシュ読み込み失敗:', err);
+      return { events: [], profiles: [] };
+    }
+  }
+
+  /**
+   * イベントを保存
+   */
+  putEvent(event) {
+    this.pendingEvents.set(event.id, { id: event.id, event, lastAccess: Date.now() });
+    this.scheduleFlush();
+  }
+
+  /**
+   * プロフィールを保存
+   */
+  putProfile(pubkey, profile) {
+    this.pendingProfiles.set(pubkey, { pubkey, profile, lastAccess: Date.now() });
+    this.scheduleFlush();
+  }
+
+  /**
+   * イベントを削除
+   */
+  deleteEvent(eventId) {
+    this.pendingEvents.delete(eventId);
+    this.touchedEventIds.delete(eventId);
+    this.deletedEventIds.add(eventId);
+    this.scheduleFlush();
+  }
+
+  /**
+   * イベントの最終アクセスを更新（表示時）
+   */
+  touch(eventId) {
+    this.touchedEventIds.add(eventId);
+    this.scheduleFlush();
+  }
+
+  /**
+   * 書き込みをスケジュール
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+  }
+
+  /**
+   * 書き込み待ちをまとめて保存
+   */
+  async flush() {
+    const events = Array.from(this.pendingEvents.values());
+    const profiles = Array.from(this.pendingProfiles.values());
+    const touched = Array.from(this.touchedEventIds).filter(id => !this.pendingEvents.has(id));
+    const deleted = Array.from(this.deletedEventIds);
+
+    this.pendingEvents.clear();
+    this.pendingProfiles.clear();
+    this.touchedEventIds.clear();
+    this.deletedEventIds.clear();
+
+    if (events.length === 0 && profiles.length === 0 && touched.length === 0 && deleted.length === 0) return;
+
+    try {
+      const db = await this.open();
+      const tx = db.transaction(['events', 'profiles'], 'readwrite');
+      const eventStore = tx.objectStore('events');
+      const profileStore = tx.objectStore('profiles');
+      const now = Date.now();
+
+      events.forEach(record => eventStore.put(record));
+      profiles.forEach(record => profileStore.put(record));
+      deleted.forEach(id => eventStore.delete(id));
+
+      touched.forEach(id => {
+        const req = eventStore.get(id);
+        req.onsuccess = () => {
+          if (req.result) {
+            req.result.lastAccess = now;
+            eventStore.put(req.result);
+          }
+        };
+      });
+
+      await this.transactionDone(tx);
+
+      await this.evict('events', this.maxEvents);
+      await this.evict('profiles', this.maxProfiles);
+
+    } catch (err) {
+      console.error('❌ キャッシュ書き込み失敗:', err);
+    }
+  }
+
+  /**
+   * 上限を超えた分を最終アクセスの古い順に削除（pinnedKindsのイベントは残す）
+   */
+  async evict(storeName, max) {
+    const db = await this.open();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const count = await this.request(store.count());
+
+    let excess = count - max;
+    if (excess <= 0) return;
+
+    console.log(`🧹 キャッシュ削除: ${storeName} ${excess}件`);
+
+    const cursorReq = store.index('lastAccess').openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || excess <= 0) return;
+      if (!this.pinnedKinds.has(cursor.value.event?.kind)) {
+        cursor.delete();
+        excess--;
+      }
+      cursor.continue();
+    };
+
+    await this.transactionDone(tx);
+  }
+
+  /**
+   * キャッシュを消去
+   */
+  async clear() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pendingEvents.clear();
+    this.pendingProfiles.clear();
+    this.touchedEventIds.clear();
+    this.deletedEventIds.clear();
+
+    const db = await this.open();
+    const tx = db.transaction(['events', 'profiles'], 'readwrite');
+    tx.objectStore('events').clear();
+    tx.objectStore('profiles').clear();
+    await this.transactionDone(tx);
+
+    console.log('🗑️ キャッシュを消去しました');
+  }
+
+  /**
+   * IDBRequestをPromiseに
+   */
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * トランザクション完了をPromiseに
+   */
+  transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+// グローバルインスタンス
+window.eventCache = new EventCache();
+console.log('✅ EventCache初期化完了');
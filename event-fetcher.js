@@ -0,0 +1,138 @@
+/**
+ * event-fetcher.js
+ * 参照されているイベント（リポスト元・ふぁぼ対象など）をIDでバッチ取得
+ */
+
+class EventFetcher {
+  constructor() {
+    this.queue = new Set();          // 取得待ちeventId
+    this.inProgress = new Set();     // 取得中eventId
+    this.notFound = new Map();       // 見つからなかったeventId -> 再取得できるようになる時刻
+    this.timer = null;
+    this.batchDelay = 500;           // バッチ処理の遅延（ms）
+    this.maxBatchSize = 100;         // 一度に取得する最大数
+    this.retryDelay = 2000;          // リレー未接続時の再試行間隔（ms）
+    this.notFoundTtl = 5 * 60 * 1000;   // すべてのリレーが返さなかったときの再取得までの時間（ms）
+    this.timeoutRetryDelay = 30 * 1000; // 応答のないリレーがあったときの再取得までの時間（ms）
+  }
+
+  /**
+   * イベント取得をリクエスト
+   */
+  request(eventId) {
+    // 既にデータがある・取得中・見つからなかった
+    if (window.dataStore.events.has(eventId) ||
+        this.inProgress.has(eventId) ||
+        this.isNotFound(eventId)) {
+      return;
+    }
+
+    // キューに追加
+    this.queue.add(eventId);
+    this.scheduleFlush();
+  }
+
+  /**
+   * 取得中か
+   */
+  isFetching(eventId) {
+    return this.queue.has(eventId) || this.inProgress.has(eventId);
+  }
+
+  /**
+   * 見つからなかったか（期限が切れたら取得し直せる）
+   */
+  isNotFound(eventId) {
+    const expiresAt = this.notFound.get(eventId);
+    if (expiresAt === undefined) return false;
+
+    if (Date.now() >= expiresAt) {
+      this.notFound.delete(eventId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * フラッシュをスケジュール
+   */
+  scheduleFlush() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.batchDelay);
+  }
+
+  /**
+   * キューをフラッシュして実際に取得
+   */
+  flush() {
+    if (this.queue.size === 0) return;
+
+    // キューから取得対象を取り出し
+    const eventIds = Array.from(this.queue).slice(0, this.maxBatchSize);
+    eventIds.forEach(id => {
+      this.queue.delete(id);
+      this.inProgress.add(id);
+    });
+
+    console.log(`📄 イベントをバッチ取得: ${eventIds.length}件`);
+
+    const subId = 'events-' + Date.now();
+    const targets = window.relayManager.getConnectedUrls();
+
+    const handler = (type, event) => {
+      if (type === 'EVENT') {
+        if (window.dataStore.addEvent(event)) {
+          window.profileFetcher.request(event.pubkey);
+        }
+        // 検証に通らなかったものは取得中のまま残し、EOSEで見つからなかった扱いにする
+        if (window.dataStore.events.has(event.id)) {
+          this.inProgress.delete(event.id);
+        }
+
+      } else if (type === 'EOSE') {
+        // 応答のないリレーがあれば、そこにあるかもしれないので早めに取得し直す
+        const allAnswered = targets.every(url => window.relayManager.hasAnswered(subId, url));
+        window.relayManager.unsubscribe(subId);
+
+        // 取得できなかったものを記録
+        const expiresAt = Date.now() + (allAnswered ? this.notFoundTtl : this.timeoutRetryDelay);
+        eventIds.forEach(id => {
+          if (this.inProgress.delete(id)) {
+            this.notFound.set(id, expiresAt);
+          }
+        });
+
+        console.log('✅ イベント取得完了');
+
+        // 再描画
+        if (window.timeline) {
+          window.timeline.refresh();
+        }
+        window.threadView?.scheduleRender();
+        window.profileView?.scheduleRender();
+      }
+    };
+
+    const subscribed = window.relayManager.subscribe(subId, { ids: eventIds }, handler);
+
+    // リレー未接続ならキューに戻して後で再試行
+    if (!subscribed) {
+      eventIds.forEach(id => {
+        this.inProgress.delete(id);
+        this.queue.add(id);
+      });
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.retryDelay);
+      return;
+    }
+
+    // 残りがあれば続けて取得
+    if (this.queue.size > 0) {
+      this.scheduleFlush();
+    }
+  }
+}
+
+// グローバルインスタンス
+window.eventFetcher = new EventFetcher();
+console.log('✅ EventFetcher初期化完了');
@@ -0,0 +1,343 @@
+/**
+ * media-renderer.js
+ * 本文中の画像・動画・音声のプレビュー
+ * NIP-92のimetaタグ（mime・サイズ・blurhash・alt）があればそれで種類と大きさを決め、
+ * なければ拡張子で判定する。複数の画像はギャラリーで順に見られる
+ */
+
+class MediaRenderer {
+  constructor() {
+    // 自動読み込み（保存された設定がなければ、データセーバーのときはOFF）
+    const saved = localStorage.getItem('mediaAutoLoad');
+    this.autoLoad = saved !== null ? saved === 'true' : !navigator.connection?.saveData;
+
+    this.extensions = {
+      image: /\.(jpe?g|gif|png|webp|avif|svg)$/i,
+      video: /\.(mp4|webm|mov|m4v|ogv)$/i,
+      audio: /\.(mp3|m4a|ogg|oga|wav|flac|opus|aac)$/i
+    };
+
+    this.blurhashCache = new Map();  // blurhash -> dataURL
+    this.blurhashChars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+    // ギャラリー
+    this.gallery = null;             // { element, images, index }
+    document.addEventListener('keydown', (e) => {
+      if (!this.gallery) return;
+      if (e.key === 'Escape') this.closeGallery();
+      if (e.key === 'ArrowLeft') this.showGalleryImage(this.gallery.index - 1);
+      if (e.key === 'ArrowRight') this.showGalleryImage(this.gallery.index + 1);
+    });
+  }
+
+  /**
+   * 自動読み込みの切り替え
+   */
+  setAutoLoad(enabled) {
+    this.autoLoad = enabled;
+    localStorage.setItem('mediaAutoLoad', String(enabled));
+  }
+
+  /**
+   * NIP-92: imetaタグを URL -> { mime, width, height, blurhash, alt } に
+   */
+  parseImeta(tags) {
+    const meta = new Map();
+
+    tags.filter(t => t[0] === 'imeta').forEach(t => {
+      const fields = {};
+      t.slice(1).forEach(entry => {
+        const space = entry.indexOf(' ');
+        if (space > 0) fields[entry.substring(0, space)] = entry.substring(space + 1);
+      });
+      if (!fields.url) return;
+
+      const [width, height] = (fields.dim || '').split('x').map(n => parseInt(n, 10));
+      meta.set(fields.url, {
+        mime: fields.m || null,
+        width: width > 0 ? width : null,
+        height: height > 0 ? height : null,
+        blurhash: fields.blurhash || null,
+        alt: fields.alt || ''
+      });
+    });
+
+    return meta;
+  }
+
+  /**
+   * 投稿のメディア情報（imetaと、ギャラリーで順に見る画像の一覧）
+   */
+  collect(content, tags) {
+    const meta = this.parseImeta(tags);
+    const urls = content.match(/https?:\/\/[^\s]+/g) || [];
+    const images = Array.from(new Set(urls.filter(url => this.getType(url, meta.get(url)) === 'image')));
+    return { meta, images };
+  }
+
+  /**
+   * メディアの種類（'image' | 'video' | 'audio'、メディアでなければnull）
+   */
+  getType(url, meta) {
+    const mime = meta?.mime || '';
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.startsWith('video/')) return 'video';
+    if (mime.startsWith('audio/')) return 'audio';
+
+    const path = url.split(/[?#]/)[0];
+    return Object.keys(this.extensions).find(type => this.extensions[type].test(path)) || null;
+  }
+
+  /**
+   * URLのプレビュー要素（メディアでなければnull）
+   */
+  createPreview(url, media) {
+    const meta = media.meta.get(url) || {};
+    const type = this.getType(url, meta);
+
+    if (type === 'image') return this.createImage(url, meta, media);
+    if (type === 'video') return this.createPlayer('video', url, meta);
+    if (type === 'audio') return this.createPlayer('audio', url, meta);
+    return null;
+  }
+
+  /**
+   * 画像（blurhashを下地に遅延読み込み、クリックでギャラリー）
+   * 自動読み込みOFFならタップで読み込む
+   */
+  createImage(url, meta, media) {
+    const frame = document.createElement('span');
+    frame.className = 'media-frame';
+    this.applySize(frame, meta);
+
+    const placeholder = this.decodeBlurhash(meta.blurhash);
+    if (placeholder) {
+      frame.style.backgroundImage = `url(${placeholder})`;
+    }
+
+    const load = () => {
+      const img = document.createElement('img');
+      img.className = 'media-image';
+      img.src = url;
+      img.alt = meta.alt || '';
+      img.title = meta.alt || '';
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      if (meta.width && meta.height) {
+        img.width = meta.width;
+        img.height = meta.height;
+      }
+      img.onload = () => { frame.style.backgroundImage = ''; };
+      img.onclick = () => {
+        const images = media.images.includes(url) ? media.images : [url];
+        this.openGallery(images, images.indexOf(url), media.meta);
+      };
+      frame.replaceChildren(img);
+    };
+
+    if (this.autoLoad) {
+      load();
+    } else {
+      frame.appendChild(this.createLoadButton('🖼 画像を表示', load));
+    }
+
+    return frame;
+  }
+
+  /**
+   * 動画・音声のプレイヤー
+   */
+  createPlayer(tag, url, meta) {
+    const frame = document.createElement('span');
+    frame.className = `media-frame media-${tag}`;
+    if (tag === 'video') this.applySize(frame, meta);
+
+    const load = () => {
+      const player = document.createElement(tag);
+      player.src = url;
+      player.controls = true;
+      player.preload = this.autoLoad ? 'metadata' : 'none';
+      if (meta.alt) player.title = meta.alt;
+      if (tag === 'video') {
+        player.className = 'media-image';
+        player.playsInline = true;
+        const poster = this.decodeBlurhash(meta.blurhash);
+        if (poster) player.poster = poster;
+      }
+      frame.replaceChildren(player);
+      return player;
+    };
+
+    if (this.autoLoad) {
+      load();
+    } else {
+      frame.appendChild(this.createLoadButton(tag === 'video' ? '▶ 動画を再生' : '▶ 音声を再生', () => {
+        load().play().catch(() => {});
+      }));
+    }
+
+    return frame;
+  }
+
+  /**
+   * 自動読み込みOFFのときの読み込みボタン
+   */
+  createLoadButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'media-load';
+    button.textContent = label;
+    button.onclick = (e) => {
+      e.preventDefault();
+      onClick();
+    };
+    return button;
+  }
+
+  /**
+   * imetaのサイズから縦横比を確保（読み込み前後で高さが変わらないように）
+   */
+  applySize(frame, meta) {
+    if (meta.width && meta.height) {
+      frame.style.aspectRatio = `${meta.width} / ${meta.height}`;
+      frame.style.width = `min(100%, ${meta.width}px, calc(20rem * ${meta.width / meta.height}))`;
+    }
+  }
+
+  /**
+   * blurhashを小さな画像（dataURL）に
+   */
+  decodeBlurhash(hash) {
+    if (!hash || !/^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{6,}$/.test(hash)) return null;
+    if (this.blurhashCache.has(hash)) return this.blurhashCache.get(hash);
+
+    const decode83 = (str) => Array.from(str).reduce((value, c) => value * 83 + this.blurhashChars.indexOf(c), 0);
+    const toLinear = (v) => {
+      v /= 255;
+      return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    const toSRGB = (v) => {
+      v = Math.max(0, Math.min(1, v));
+      return Math.round(v <= 0.0031308 ? v * 12.92 * 255 : (1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+    };
+    const signPow = (v, exp) => Math.sign(v) * Math.pow(Math.abs(v), exp);
+
+    const sizeFlag = decode83(hash[0]);
+    const numX = (sizeFlag % 9) + 1;
+    const numY = Math.floor(sizeFlag / 9) + 1;
+    if (hash.length !== 4 + 2 * numX * numY) return null;
+
+    const maxValue = (decode83(hash[1]) + 1) / 166;
+    const dc = decode83(hash.substring(2, 6));
+    const colors = [[toLinear(dc >> 16), toLinear((dc >> 8) & 255), toLinear(dc & 255)]];
+    for (let i = 1; i < numX * numY; i++) {
+      const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+      colors.push([Math.floor(value / 361), Math.floor(value / 19) % 19, value % 19]
+        .map(q => signPow((q - 9) / 9, 2) * maxValue));
+    }
+
+    const size = 32;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(size, size);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let r = 0, g = 0, b = 0;
+        for (let j = 0; j < numY; j++) {
+          for (let i = 0; i < numX; i++) {
+            const basis = Math.cos(Math.PI * x * i / size) * Math.cos(Math.PI * y * j / size);
+            const color = colors[i + j * numX];
+            r += color[0] * basis;
+            g += color[1] * basis;
+            b += color[2] * basis;
+          }
+        }
+        const p = (y * size + x) * 4;
+        image.data[p] = toSRGB(r);
+        image.data[p + 1] = toSRGB(g);
+        image.data[p + 2] = toSRGB(b);
+        image.data[p + 3] = 255;
+      }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    const dataUrl = canvas.toDataURL();
+    this.blurhashCache.set(hash, dataUrl);
+    return dataUrl;
+  }
+
+  /**
+   * ギャラリーを開く（投稿内の画像を順に見る）
+   */
+  openGallery(images, index, meta) {
+    this.closeGallery();
+
+    const element = document.createElement('div');
+    element.id = 'media-gallery';
+
+    const img = document.createElement('img');
+    const caption = document.createElement('div');
+    caption.className = 'media-gallery-caption';
+
+    const button = (label, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      b.onclick = (e) => {
+        e.stopPropagation();
+        onClick();
+      };
+      return b;
+    };
+
+    element.appendChild(img);
+    element.appendChild(caption);
+    element.appendChild(button('✕', () => this.closeGallery()));
+    if (images.length > 1) {
+      element.appendChild(button('‹', () => this.showGalleryImage(this.gallery.index - 1)));
+      element.appendChild(button('›', () => this.showGalleryImage(this.gallery.index + 1)));
+    }
+
+    // 画像の外をクリックで閉じる
+    element.onclick = (e) => {
+      if (e.target === element) this.closeGallery();
+    };
+
+    document.body.appendChild(element);
+    this.gallery = { element, img, caption, images, index, meta };
+    this.showGalleryImage(index);
+  }
+
+  /**
+   * ギャラリーのn枚目を表示（端で折り返す）
+   */
+  showGalleryImage(index) {
+    if (!this.gallery) return;
+
+    const { img, caption, images } = this.gallery;
+    this.gallery.index = (index + images.length) % images.length;
+
+    const url = images[this.gallery.index];
+    const alt = this.gallery.meta.get(url)?.alt || '';
+    img.src = url;
+    img.alt = alt;
+    caption.textContent = images.length > 1
+      ? `${this.gallery.index + 1} / ${images.length}${alt ? ' ' + alt : ''}`
+      : alt;
+  }
+
+  /**
+   * ギャラリーを閉じる
+   */
+  closeGallery() {
+    this.gallery?.element.remove();
+    this.gallery = null;
+  }
+}
+
+// グローバルインスタンス
+window.mediaRenderer = new MediaRenderer();
+console.log('✅ MediaRenderer初期化完了');
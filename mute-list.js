@@ -0,0 +1,250 @@
+/**
+ * mute-list.js
+ * NIP-51 ミュートリスト（kind:10000）
+ * 公開タグと暗号化された非公開タグ（NIP-44 / NIP-04）を読み込み、
+ * ユーザー・ワード・ハッシュタグ・スレッドのミュート判定を行う
+ */
+
+class MuteList {
+  constructor() {
+    this.event = null;               // 最新のkind:10000
+    this.loaded = false;             // リレーから取得済みか
+    this.decryptFailed = false;      // 非公開タグを読めなかったか
+    this.publicTags = [];
+    this.privateTags = [];
+
+    // ミュート対象
+    this.pubkeys = new Set();
+    this.words = [];
+    this.hashtags = new Set();
+    this.threadIds = new Set();
+  }
+
+  /**
+   * kind:10000を読み込む（手元より古いものは無視）
+   * 複数のリレーから別の版が届くので、復号を待つ間に新しい版が読み込まれたら捨てる
+   * 署名し直して送るので、自分が署名したものだけを受け付ける
+   */
+  async load(event) {
+    if (!window.dataStore.isVerifiedOwnEvent(event)) {
+      console.warn('⚠️ 自分のものではないミュートリストを無視:', event.id);
+      return false;
+    }
+    if (this.isStale(event)) {
+      return false;
+    }
+
+    let privateTags = [];
+    let decryptFailed = false;
+
+    if (event.content && window.nostrAuth.canWrite()) {
+      try {
+        const decrypted = await this.decrypt(event.content);
+        const tags = JSON.parse(decrypted);
+        if (Array.isArray(tags)) {
+          privateTags = tags;
+        }
+      } catch (err) {
+        console.error('❌ ミュートリストの復号に失敗:', err);
+        decryptFailed = true;
+      }
+
+      if (this.isStale(event)) {
+        return false;
+      }
+    }
+
+    this.event = event;
+    this.loaded = true;
+    this.publicTags = event.tags;
+    this.privateTags = privateTags;
+    this.decryptFailed = decryptFailed;
+
+    this.rebuild();
+    console.log(`🔇 ミュートリスト: ユーザー${this.pubkeys.size}人, ワード${this.words.length}件, ハッシュタグ${this.hashtags.size}件, スレッド${this.threadIds.size}件`);
+    return true;
+  }
+
+  /**
+   * 手元と同じか古い版か
+   */
+  isStale(event) {
+    return this.event !== null && this.event.created_at >= event.created_at;
+  }
+
+  /**
+   * 取得完了（リストがなくても編集できるようにする）
+   */
+  markLoaded() {
+    this.loaded = true;
+  }
+
+  /**
+   * タグからミュート対象を作り直す
+   */
+  rebuild() {
+    this.pubkeys.clear();
+    this.words = [];
+    this.hashtags.clear();
+    this.threadIds.clear();
+
+    [...this.publicTags, ...this.privateTags].forEach(([name, value]) => {
+      if (!value) return;
+
+      switch (name) {
+        case 'p':
+          this.pubkeys.add(value);
+          break;
+        case 'word':
+          this.words.push(window.contentFilter.normalize(value));
+          break;
+        case 't':
+          this.hashtags.add(value.toLowerCase());
+          break;
+        case 'e':
+          this.threadIds.add(value);
+          break;
+      }
+    });
+  }
+
+  /**
+   * イベントがミュート対象か
+   */
+  isMuted(event) {
+    if (this.pubkeys.has(event.pubkey)) return true;
+
+    // リポストは元投稿で判定
+    if (event.kind === 6) {
+      const targetId = window.dataStore.getRepostTargetId(event);
+      const target = targetId && window.dataStore.events.get(targetId);
+      return target ? this.isMuted(target) : false;
+    }
+
+    if (event.kind !== 1) return false;
+
+    // スレッド
+    if (this.threadIds.size > 0) {
+      const { rootId, replyId } = window.dataStore.getThreadRefs(event);
+      if ([event.id, rootId, replyId].some(id => id && this.threadIds.has(id))) {
+        return true;
+      }
+    }
+
+    // ハッシュタグ
+    if (this.hashtags.size > 0 &&
+        event.tags.some(t => t[0] === 't' && t[1] && this.hashtags.has(t[1].toLowerCase()))) {
+      return true;
+    }
+
+    // ワード
+    if (this.words.length > 0) {
+      const text = window.contentFilter.normalize(event.content);
+      if (this.words.some(word => text.includes(word))) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * ユーザーをミュート
+   */
+  async muteUser(pubkey) {
+    if (this.pubkeys.has(pubkey)) return null;
+    return this.addAndPublish(['p', pubkey]);
+  }
+
+  /**
+   * スレッドをミュート
+   */
+  async muteThread(rootId) {
+    if (this.threadIds.has(rootId)) return null;
+    return this.addAndPublish(['e', rootId]);
+  }
+
+  /**
+   * タグを非公開側に追加して署名・送信
+   */
+  async addAndPublish(tag) {
+    if (!this.loaded) {
+      throw new Error('ミュートリストをまだ取得できていません');
+    }
+    // 読めなかった非公開タグを上書きしない
+    if (this.decryptFailed) {
+      throw new Error('ミュートリストを復号できなかったため更新できません');
+    }
+
+    const privateTags = [...this.privateTags, tag];
+    const content = await this.encrypt(JSON.stringify(privateTags));
+
+    const event = {
+      kind: 10000,
+      content,
+      created_at: Math.max(Math.floor(Date.now() / 1000), (this.event?.created_at || 0) + 1),
+      tags: this.publicTags
+    };
+
+    const signed = await window.nostrAuth.signEvent(event);
+    const results = await window.relayManager.publish(signed);
+
+    // 署名済みの内容で手元を更新
+    this.event = signed;
+    this.privateTags = privateTags;
+    this.rebuild();
+
+    return results;
+  }
+
+  /**
+   * 自分宛ての暗号文を復号（NIP-44、?iv= 付きならNIP-04）
+   */
+  async decrypt(ciphertext) {
+    const pubkey = window.nostrAuth.pubkey;
+    const isNip04 = ciphertext.includes('?iv=');
+
+    if (window.nostrAuth.useNIP07) {
+      return isNip04
+        ? window.nostr.nip04.decrypt(pubkey, ciphertext)
+        : window.nostr.nip44.decrypt(pubkey, ciphertext);
+    }
+
+    const seckey = this.getSecretKey();
+    if (isNip04) {
+      return window.NostrTools.nip04.decrypt(seckey, pubkey, ciphertext);
+    }
+    const conversationKey = window.NostrTools.nip44.getConversationKey(seckey, pubkey);
+    return window.NostrTools.nip44.decrypt(ciphertext, conversationKey);
+  }
+
+  /**
+   * 自分宛てに暗号化（NIP-44）
+   */
+  async encrypt(plaintext) {
+    const pubkey = window.nostrAuth.pubkey;
+
+    if (window.nostrAuth.useNIP07) {
+      if (!window.nostr?.nip44) {
+        throw new Error('拡張機能がNIP-44に対応していません');
+      }
+      return window.nostr.nip44.encrypt(pubkey, plaintext);
+    }
+
+    const seckey = this.getSecretKey();
+    const conversationKey = window.NostrTools.nip44.getConversationKey(seckey, pubkey);
+    return window.NostrTools.nip44.encrypt(plaintext, conversationKey);
+  }
+
+  /**
+   * nsecから秘密鍵を取り出す
+   */
+  getSecretKey() {
+    if (!window.nostrAuth.nsec) {
+      throw new Error('秘密鍵がありません');
+    }
+    return window.NostrTools.nip19.decode(window.nostrAuth.nsec).data;
+  }
+}
+
+// グローバルインスタンス
+window.muteList = new MuteList();
+console.log('✅ MuteList初期化完了');
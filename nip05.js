@@ -0,0 +1,143 @@
+/**
+ * nip05.js
+ * NIP-05: name@domain を /.well-known/nostr.json で公開鍵に解決・検証する
+ * 結果はキャッシュし、取得にはタイムアウトを設ける
+ */
+
+class Nip05Resolver {
+  constructor() {
+    this.cache = new Map();          // identifier -> { result, expires }
+    this.inFlight = new Map();       // identifier -> Promise
+    this.verified = new Map();       // `${pubkey}:${identifier}` -> true | false | 'pending'
+    this.timeout = 5000;             // 取得タイムアウト（ms）
+    this.cacheTtl = 60 * 60 * 1000;  // 成功時のキャッシュ時間（ms）
+    this.failureTtl = 5 * 60 * 1000; // 失敗時のキャッシュ時間（ms）
+  }
+
+  /**
+   * NIP-05識別子らしいか（name@domain または domain）
+   */
+  isIdentifier(text) {
+    return /^([\w.+-]+@)?[\w-]+(\.[\w-]+)*(:\d+)?$/.test(text.trim()) &&
+           (text.includes('@') || text.includes('.'));
+  }
+
+  /**
+   * 識別子を name と domain に分解（domainだけなら name は "_"）
+   */
+  parse(identifier) {
+    const text = identifier.trim().toLowerCase();
+    const at = text.lastIndexOf('@');
+    if (at === -1) {
+      return { name: '_', domain: text };
+    }
+    return { name: text.substring(0, at) || '_', domain: text.substring(at + 1) };
+  }
+
+  /**
+   * nostr.jsonのURL
+   * ローカルで配信したファイルで試せるよう、localhostはhttpで取得する
+   */
+  buildUrl(name, domain) {
+    const isLocal = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(domain);
+    const scheme = isLocal ? 'http' : 'https';
+    return `${scheme}://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * 識別子を解決
+   * 見つかれば { pubkey, relays }、見つからなければnull
+   */
+  async resolve(identifier) {
+    const { name, domain } = this.parse(identifier);
+    const key = `${name}@${domain}`;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.result;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.fetchIdentifier(name, domain)
+      .then(result => {
+        this.cache.set(key, {
+          result,
+          expires: Date.now() + (result ? this.cacheTtl : this.failureTtl)
+        });
+        return result;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * nostr.jsonを取得して name を探す
+   */
+  async fetchIdentifier(name, domain) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.buildUrl(name, domain), {
+        signal: controller.signal,
+        redirect: 'error' // NIP-05: リダイレクトは無視する
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const json = await response.json();
+      const pubkey = json?.names?.[name];
+      if (typeof pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(pubkey)) {
+        return null;
+      }
+
+      const relays = Array.isArray(json.relays?.[pubkey])
+        ? json.relays[pubkey].filter(url => typeof url === 'string' && /^wss?:\/\//.test(url))
+        : [];
+
+      console.log(`🪪 NIP-05解決: ${name}@${domain} → ${pubkey.substring(0, 8)}`);
+      return { pubkey, relays };
+
+    } catch (err) {
+      console.warn('⚠️ NIP-05解決失敗:', `${name}@${domain}`, err.message);
+      return null;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * プロフィールのnip05がpubkeyと一致するか
+   * 未確認なら検証を始めて'pending'を返す（完了時に再描画）
+   */
+  getVerification(pubkey, identifier) {
+    if (!identifier || !this.isIdentifier(identifier)) return false;
+
+    const key = `${pubkey}:${identifier}`;
+    if (this.verified.has(key)) {
+      return this.verified.get(key);
+    }
+
+    this.verified.set(key, 'pending');
+    this.resolve(identifier).then(result => {
+      this.verified.set(key, result?.pubkey === pubkey);
+      if (result?.pubkey === pubkey) {
+        window.viewState.scheduleRender();
+        window.profileView?.scheduleRender();
+      }
+    });
+
+    return 'pending';
+  }
+}
+
+// グローバルインスタンス
+window.nip05 = new Nip05Resolver();
+console.log('✅ Nip05Resolver初期化完了');
@@ -0,0 +1,235 @@
+/**
+ * notifications.js
+ * 通知（自分宛てのメンション・返信・リポスト・リアクション・zap）
+ * 種類の判定、同じ投稿へのリアクションのまとめ、既読位置と未読数の管理
+ */
+
+class Notifications {
+  constructor() {
+    this.eventIds = new Set();       // 通知のeventId
+    this.lastReadPubkey = undefined; // 既読位置を読み込んだアカウント
+    this.lastRead = 0;
+    this.highlightSince = 0;         // この時刻より新しいものを未読として強調
+    this.loadLastRead();
+  }
+
+  /**
+   * 既読位置を読み込む（アカウントごとに保存、アカウントが変わったら読み直す）
+   */
+  loadLastRead() {
+    const pubkey = window.nostrAuth?.pubkey || null;
+    if (this.lastReadPubkey === pubkey) return;
+
+    this.lastReadPubkey = pubkey;
+    this.lastRead = parseInt(localStorage.getItem(this.getLastReadKey()) || '0', 10);
+    this.highlightSince = this.lastRead;
+  }
+
+  /**
+   * 既読位置のlocalStorageキー
+   */
+  getLastReadKey() {
+    return `notificationsLastRead:${this.lastReadPubkey || ''}`;
+  }
+
+  /**
+   * 自分宛ての通知か（自分の操作は除く）
+   */
+  isNotification(event) {
+    const myPubkey = window.nostrAuth?.pubkey;
+    if (!myPubkey) return false;
+    if (![1, 6, 7, 9735].includes(event.kind)) return false;
+    if (event.kind !== 9735 && event.pubkey === myPubkey) return false;
+
+    return event.tags.some(t => t[0] === 'p' && t[1] === myPubkey);
+  }
+
+  /**
+   * 通知を追加
+   */
+  add(event) {
+    if (this.eventIds.has(event.id)) return;
+
+    this.eventIds.add(event.id);
+
+    // zapは送った人のプロファイルを取得
+    if (event.kind === 9735) {
+      const sender = this.getZapRequest(event)?.pubkey;
+      if (sender) window.profileFetcher.request(sender);
+    }
+
+    this.updateBadge();
+  }
+
+  /**
+   * 通知の種類
+   * 'mention' | 'reply' | 'repost' | 'reaction' | 'zap'
+   */
+  classify(event) {
+    switch (event.kind) {
+      case 6:
+        return 'repost';
+      case 7:
+        return 'reaction';
+      case 9735:
+        return 'zap';
+    }
+
+    const { replyId } = window.dataStore.getThreadRefs(event);
+    if (replyId && window.dataStore.getReplyTargetPubkey(event) === window.nostrAuth.pubkey) {
+      return 'reply';
+    }
+    return 'mention';
+  }
+
+  /**
+   * NIP-57: zapレシートに含まれるzapリクエスト（kind:9734）
+   * 検証できたレシートのものだけ（送った人・額・コメントは偽造できるため）
+   */
+  getZapRequest(event) {
+    if (window.zapVerifier.getVerification(event) !== true) return null;
+    return window.zapVerifier.parseZapRequest(event);
+  }
+
+  /**
+   * zapした人のpubkey（検証できたzapリクエストがなければレシートの発行者）
+   */
+  getActor(event) {
+    if (event.kind === 9735) {
+      return this.getZapRequest(event)?.pubkey || event.pubkey;
+    }
+    return event.pubkey;
+  }
+
+  /**
+   * zap額（sats）
+   */
+  getZapAmount(event) {
+    const msats = this.getZapRequest(event)?.tags?.find(t => t[0] === 'amount')?.[1];
+    return msats ? Math.floor(parseInt(msats, 10) / 1000) : null;
+  }
+
+  /**
+   * 通知一覧を表示用にまとめる
+   * 同じ投稿へのリアクションは1件にまとめ、最新のものの位置に置く
+   * events は新しい順
+   */
+  group(events) {
+    const items = [];
+    const reactionGroups = new Map(); // targetId -> item
+
+    events.forEach(event => {
+      const type = this.classify(event);
+
+      if (type === 'reaction') {
+        const targetId = window.dataStore.getReactionTargetId(event);
+        if (targetId) {
+          const existing = reactionGroups.get(targetId);
+          if (existing) {
+            existing.events.push(event);
+            return;
+          }
+          const item = { type, targetId, events: [event], created_at: event.created_at };
+          reactionGroups.set(targetId, item);
+          items.push(item);
+          return;
+        }
+      }
+
+      items.push({ type, targetId: null, events: [event], created_at: event.created_at });
+    });
+
+    return items;
+  }
+
+  /**
+   * 未読数
+   */
+  getUnreadCount() {
+    this.loadLastRead();
+
+    let count = 0;
+    this.eventIds.forEach(id => {
+      const event = window.dataStore.events.get(id);
+      if (event && event.created_at > this.lastRead && !window.viewState.isHidden(event)) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * 未読として強調するか
+   */
+  isUnread(item) {
+    return item.created_at > this.highlightSince;
+  }
+
+  /**
+   * 通知タブを開いたとき
+   * それまでの未読を強調したまま既読にする
+   */
+  open() {
+    this.loadLastRead();
+    this.highlightSince = this.lastRead;
+    this.markRead();
+  }
+
+  /**
+   * 既読にする
+   */
+  markRead() {
+    this.loadLastRead();
+
+    let newest = this.lastRead;
+    this.eventIds.forEach(id => {
+      const event = window.dataStore.events.get(id);
+      if (event && event.created_at > newest) {
+        newest = event.created_at;
+      }
+    });
+
+    this.lastRead = newest;
+    localStorage.setItem(this.getLastReadKey(), String(newest));
+    this.updateBadge();
+  }
+
+  /**
+   * タブボタンの未読バッジを更新
+   */
+  updateBadge() {
+    const badge = document.getElementById('notification-badge');
+    if (!badge) return;
+
+    // 通知タブを表示中なら既読扱い
+    if (window.app?.currentTab === 'notifications') {
+      badge.classList.add('hidden');
+      return;
+    }
+
+    const count = this.getUnreadCount();
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * 通知から外す（取り消されたとき）
+   */
+  remove(eventId) {
+    if (this.eventIds.delete(eventId)) {
+      this.updateBadge();
+    }
+  }
+
+  /**
+   * クリア
+   */
+  clear() {
+    this.eventIds.clear();
+    this.updateBadge();
+  }
+}
+
+// グローバルインスタンス
+window.notifications = new Notifications();
+console.log('✅ Notifications初期化完了');
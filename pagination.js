@@ -0,0 +1,234 @@
+/**
+ * pagination.js
+ * 「もっと見る」の取得位置をタブごと・リレーごとに管理する
+ * 各リレーが返したイベントの最古の時刻を次のuntilにし、何も返さなくなったリレーは打ち止めにする
+ * 同じ秒のイベントを落とさないよう、untilは最古の時刻そのもの（重複はDataStoreで除かれる）
+ */
+
+class Pagination {
+  constructor() {
+    // タブ名 -> { key, seed, cursors, exhausted, loading }
+    //   key: 取得条件（条件が変わったら最初から）
+    //   seed: まだ取得していないリレーのuntil（最初に「もっと見る」したときのタブの最古）
+    //   cursors: url -> そのリレーの次のuntil（返した最古のcreated_at）
+    //   exhausted: もう返すものがないリレー
+    this.states = new Map();
+    this.pageSize = 50;
+    this.scrollMargin = 800; // 下端からこの距離（px）に近づいたら自動で読み込む
+
+    this.button = null;
+    this.observer = null;
+  }
+
+  /**
+   * タブの状態を取得（取得条件が変わっていれば作り直す）
+   */
+  getState(tab, page) {
+    const key = JSON.stringify(page);
+    let state = this.states.get(tab);
+
+    if (!state || state.key !== key) {
+      state = {
+        key,
+        seed: null,
+        cursors: new Map(),
+        exhausted: new Set(),
+        loading: false
+      };
+      this.states.set(tab, state);
+    }
+    return state;
+  }
+
+  /**
+   * 新着の取得で埋めきれなかった隙間を記録
+   * そのリレーはキャッシュの最古からではなく、隙間の上端から続きを取る
+   */
+  markGap(tab, url, until) {
+    const page = window.app.getPageFilter(tab);
+    if (!page) return;
+
+    const state = this.getState(tab, page);
+    state.cursors.set(url, until);
+    state.exhausted.delete(url);
+    this.updateButton();
+  }
+
+  /**
+   * 取得先のリレー（打ち止めのものを除く）
+   */
+  getPendingRelays(state, page) {
+    return window.relayManager.getTargetUrls(page.options.relays)
+      .filter(url => !state.exhausted.has(url));
+  }
+
+  /**
+   * これ以上古いものがないか
+   */
+  isExhausted(tab) {
+    if (tab === 'search') return window.search.reachedEnd;
+
+    const page = window.app.getPageFilter(tab);
+    if (!page) return true;
+
+    const state = this.states.get(tab);
+    if (!state || state.key !== JSON.stringify(page)) return false;
+
+    // 接続中のリレーがすべて打ち止め
+    return state.exhausted.size > 0 && this.getPendingRelays(state, page).length === 0;
+  }
+
+  /**
+   * 読み込み中か
+   */
+  isLoading(tab) {
+    if (tab === 'search') return window.search.isLoading;
+    return this.states.get(tab)?.loading || false;
+  }
+
+  /**
+   * タブの続きを読み込む
+   * リレーごとに自分のuntilで購読し、返ってきたイベントをタブに振り分ける
+   */
+  load(tab) {
+    const page = window.app.getPageFilter(tab);
+    if (!page) {
+      this.updateButton();
+      return;
+    }
+
+    const state = this.getState(tab, page);
+    if (state.loading) return;
+
+    const relays = this.getPendingRelays(state, page);
+    if (relays.length === 0) {
+      if (state.exhausted.size > 0) {
+        console.log(`🔚 もっと見る: ${tab}タブはこれ以上ありません`);
+      } else {
+        console.warn('⚠️ リレー未接続のため読み込めません');
+      }
+      this.updateButton();
+      return;
+    }
+
+    if (state.seed === null) {
+      state.seed = Math.floor(window.dataStore.getOldestTimestamp(tab));
+    }
+
+    state.loading = true;
+    this.updateButton();
+
+    let remaining = relays.length;
+    let progressed = false;
+    const finish = () => {
+      remaining--;
+      if (remaining > 0) return;
+
+      state.loading = false;
+      console.log(`✅ もっと見る完了: ${tab}タブ`);
+      window.profileFetcher.flushNow();
+      window.viewState.renderNow();
+      this.updateButton();
+
+      // 進まなかった（タイムアウトなど）ときは自動で続けない
+      if (progressed) this.checkNearBottom();
+    };
+
+    relays.forEach(url => {
+      const subId = `load-more:${tab}:${url}`;
+      const until = state.cursors.get(url) ?? state.seed;
+      let received = 0;
+      let oldest = Infinity;
+
+      const subscribed = window.relayManager.subscribe(subId, {
+        ...page.filter,
+        until,
+        limit: this.pageSize
+      }, (type, event) => {
+        if (type === 'EVENT') {
+          // キャッシュ済みのものもタブには振り分ける（署名が無効なものは除く）
+          window.dataStore.addEvent(event);
+          if (!window.dataStore.events.has(event.id)) return;
+
+          received++;
+          oldest = Math.min(oldest, event.created_at);
+          window.viewState.addEvent(event, window.app.currentTab);
+
+        } else if (type === 'EOSE') {
+          const answered = window.relayManager.hasAnswered(subId, url);
+          window.relayManager.unsubscribe(subId);
+
+          if (received > 0 && oldest < until) {
+            state.cursors.set(url, oldest);
+            progressed = true;
+          } else if (received >= this.pageSize) {
+            // 同じ秒のイベントだけで1ページ埋まった（その秒は諦めて先へ）
+            state.cursors.set(url, until - 1);
+            progressed = true;
+          } else if (answered) {
+            // タイムアウトではなく、untilより古いものをEOSEまで返さなかった
+            state.exhausted.add(url);
+          }
+          finish();
+        }
+      }, { relays: [url] });
+
+      if (!subscribed) finish();
+    });
+
+    console.log(`📥 もっと見る: ${tab}タブ, ${relays.length}リレー`);
+  }
+
+  /**
+   * 「もっと見る」ボタンの表示を更新
+   */
+  updateButton() {
+    if (!this.button) return;
+
+    const tab = window.app.currentTab;
+    const ended = this.isExhausted(tab);
+
+    this.button.classList.toggle('loading', this.isLoading(tab));
+    this.button.disabled = ended;
+    this.button.textContent = ended ? 'これ以上ありません' : 'もっと見る';
+  }
+
+  /**
+   * ボタンが画面の下端付近に来たら自動で読み込む
+   */
+  observe(button) {
+    this.button = button;
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadIfIdle();
+      }
+    }, { rootMargin: `0px 0px ${this.scrollMargin}px 0px` });
+    this.observer.observe(button);
+    this.updateButton();
+  }
+
+  /**
+   * 読み込み後もまだ下端付近にいれば続けて読み込む（画面が埋まるまで）
+   */
+  checkNearBottom() {
+    if (!this.button || this.button.offsetParent === null) return;
+
+    const rect = this.button.getBoundingClientRect();
+    if (rect.top < window.innerHeight + this.scrollMargin) {
+      this.loadIfIdle();
+    }
+  }
+
+  /**
+   * 読み込み中・打ち止めでなければ読み込む
+   */
+  loadIfIdle() {
+    const tab = window.app.currentTab;
+    if (this.isLoading(tab) || this.isExhausted(tab)) return;
+    window.app.loadMore();
+  }
+}
+
+// グローバルインスタンス
+window.pagination = new Pagination();
+console.log('✅ Pagination初期化完了');
@@ -10,6 +10,7 @@ class ProfileFetcher {
     this.timer = null;
     this.batchDelay = 500;           // バッチ処理の遅延（ms）
     this.maxBatchSize = 100;         // 一度に取得する最大数
+    this.retryDelay = 2000;          // リレー未接続時の再試行間隔（ms）
   }
 
   /**
@@ -67,19 +68,10 @@ class ProfileFetcher {
     // ハンドラー
     const handler = (type, event) => {
       if (type === 'EVENT' && event.kind === 0) {
-        try {
-          const profile = JSON.parse(event.content);
-          window.dataStore.addProfile(event.pubkey, {
-            ...profile,
-            created_at: event.created_at
-          });
-
-          // 取得完了マーク
-          this.inProgress.delete(event.pubkey);
-
-        } catch (err) {
-          console.error('❌ プロファイルパースエラー:', err);
-        }
+        window.dataStore.addProfileEvent(event);
+
+        // 取得完了マーク
+        this.inProgress.delete(event.pubkey);
       } else if (type === 'EOSE') {
         // 購読終了
         window.relayManager.unsubscribe(subId);
@@ -93,14 +85,25 @@ class ProfileFetcher {
         if (window.timeline) {
           window.timeline.refresh();
         }
+        window.threadView?.scheduleRender();
+        window.profileView?.scheduleRender();
       }
     };
 
     // 購読
-    window.relayManager.subscribe(subId, {
+    const subscribed = window.relayManager.subscribe(subId, {
       kinds: [0],
       authors: pubkeys
     }, handler);
+
+    // リレー未接続ならキューに戻して後で再試行
+    if (!subscribed) {
+      pubkeys.forEach(pk => {
+        this.inProgress.delete(pk);
+        this.queue.add(pk);
+      });
+      this.timer = setTimeout(() => this.flush(), this.retryDelay);
+    }
   }
 
   /**
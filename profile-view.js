@@ -0,0 +1,374 @@
+/**
+ * profile-view.js
+ * ユーザーのプロフィール表示
+ * kind:0の項目、フォロー・フォロワー数、最近の投稿（もっと見る付き）を表示
+ */
+
+class ProfileView {
+  constructor() {
+    this.pubkey = null;
+    this.postIds = new Set();          // 表示する投稿ID
+    this.oldestTimestamp = null;       // 投稿のページング用
+    this.reachedEnd = false;           // これ以上古い投稿がない
+    this.isLoading = false;
+    this.followCount = null;
+    this.followListCreatedAt = 0;      // followCountの元にしたkind:3の時刻
+    this.followerPubkeys = new Set();
+    this.followerLimit = 500;          // フォロワー数を数える上限
+    this.pageSize = 20;
+    this.savedScrollY = 0;
+
+    // 描画タイマー
+    this.renderTimer = null;
+    this.renderDelay = 300;
+  }
+
+  /**
+   * プロフィール表示中か
+   */
+  isOpen() {
+    return this.pubkey !== null;
+  }
+
+  /**
+   * プロフィールを開く
+   */
+  open(pubkey) {
+    if (this.pubkey === pubkey) return;
+
+    // スレッド表示中なら閉じる
+    if (window.threadView.isOpen()) {
+      window.threadView.close();
+    }
+
+    if (!this.isOpen()) {
+      this.savedScrollY = window.scrollY;
+    }
+    this.unsubscribeAll();
+
+    this.pubkey = pubkey;
+    this.postIds = new Set();
+    this.oldestTimestamp = null;
+    this.reachedEnd = false;
+    this.isLoading = false;
+    this.followCount = null;
+    this.followListCreatedAt = 0;
+    this.followerPubkeys = new Set();
+
+    document.getElementById('timeline-view').classList.add('hidden');
+    document.getElementById('profile-view').classList.remove('hidden');
+    window.scrollTo(0, 0);
+
+    console.log('👤 プロフィールを開く:', pubkey);
+
+    this.subscribeMeta();
+    this.loadPosts();
+    this.renderNow();
+  }
+
+  /**
+   * プロフィールを閉じてタイムラインに戻る
+   */
+  close() {
+    this.unsubscribeAll();
+    clearTimeout(this.renderTimer);
+    this.pubkey = null;
+
+    document.getElementById('profile-view').classList.add('hidden');
+    document.getElementById('timeline-view').classList.remove('hidden');
+    window.scrollTo(0, this.savedScrollY);
+    window.timeline.renderWindow();
+  }
+
+  /**
+   * プロフィール用の購読をすべて解除
+   */
+  unsubscribeAll() {
+    ['profile-meta', 'profile-followers', 'profile-posts'].forEach(subId => {
+      window.relayManager.unsubscribe(subId);
+    });
+  }
+
+  /**
+   * kind:0・kind:3・フォロワーを購読
+   */
+  subscribeMeta() {
+    const pubkey = this.pubkey;
+
+    // 最新のkind:0とフォローリスト
+    window.relayManager.subscribe('profile-meta', [
+      { kinds: [0], authors: [pubkey], limit: 1 },
+      { kinds: [3], authors: [pubkey], limit: 1 }
+    ], (type, event) => {
+      if (type !== 'EVENT' || event.pubkey !== pubkey) return;
+
+      if (event.kind === 0) {
+        window.dataStore.addProfileEvent(event);
+      } else if (event.kind === 3) {
+        // リレーごとに届くので、署名の正しい一番新しいものだけ使う
+        if (event.created_at <= this.followListCreatedAt) return;
+        if (!window.NostrTools.verifyEvent(event)) return;
+        this.followListCreatedAt = event.created_at;
+        this.followCount = new Set(event.tags.filter(t => t[0] === 'p').map(t => t[1])).size;
+      }
+      this.scheduleRender();
+    });
+
+    // フォロワー（このユーザーをpタグに含むkind:3）
+    window.relayManager.subscribe('profile-followers', {
+      kinds: [3],
+      '#p': [pubkey],
+      limit: this.followerLimit
+    }, (type, event) => {
+      if (type === 'EVENT') {
+        if (this.followerPubkeys.has(event.pubkey)) return;
+        if (!event.tags.some(t => t[0] === 'p' && t[1] === pubkey)) return;
+        if (!window.NostrTools.verifyEvent(event)) return;
+        this.followerPubkeys.add(event.pubkey);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('profile-followers');
+        this.scheduleRender();
+      }
+    });
+  }
+
+  /**
+   * 投稿を読み込む（2回目以降は古い方へ）
+   */
+  loadPosts() {
+    if (this.isLoading || this.reachedEnd) return;
+
+    const pubkey = this.pubkey;
+    const filter = { kinds: [1, 6], authors: [pubkey], limit: this.pageSize };
+    // 同じ秒の投稿を落とさないよう、untilは最古の時刻そのもの（既に持っているものは数えない）
+    if (this.oldestTimestamp) {
+      filter.until = this.oldestTimestamp;
+    }
+
+    let received = 0;                // 届いた件数
+    let added = 0;                   // そのうち新しく加わった件数
+    this.isLoading = true;
+
+    const subscribed = window.relayManager.subscribe('profile-posts', filter, (type, event) => {
+      if (type === 'EVENT') {
+        if (event.pubkey !== pubkey) return;
+
+        window.dataStore.addEvent(event);
+        if (!window.dataStore.events.has(event.id)) return; // 検証失敗
+
+        received++;
+        if (!this.postIds.has(event.id)) added++;
+        this.postIds.add(event.id);
+        if (!this.oldestTimestamp || event.created_at < this.oldestTimestamp) {
+          this.oldestTimestamp = event.created_at;
+        }
+        this.scheduleRender();
+
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('profile-posts');
+        this.isLoading = false;
+        if (added === 0) {
+          if (received >= this.pageSize) {
+            // 同じ秒の投稿だけで1ページ埋まった（その秒は諦めて先へ）
+            this.oldestTimestamp--;
+          } else {
+            this.reachedEnd = true;
+          }
+        }
+        window.profileFetcher.flushNow();
+        this.renderNow();
+      }
+    });
+
+    if (!subscribed) {
+      this.isLoading = false;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * 描画をスケジュール
+   */
+  scheduleRender() {
+    if (!this.isOpen()) return;
+
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), this.renderDelay);
+  }
+
+  /**
+   * 即座に描画
+   */
+  renderNow() {
+    clearTimeout(this.renderTimer);
+    this.render();
+  }
+
+  /**
+   * 描画
+   */
+  render() {
+    if (!this.isOpen()) return;
+
+    const header = document.getElementById('profile-header');
+    while (header.firstChild) {
+      header.removeChild(header.firstChild);
+    }
+    header.appendChild(this.createHeader());
+
+    const list = document.getElementById('profile-posts');
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    // タイムラインと同じくミュート・NGワードのものは表示しない
+    Array.from(this.postIds)
+      .map(id => window.dataStore.events.get(id))
+      .filter(event => event && !window.viewState.isHidden(event))
+      .sort((a, b) => b.created_at - a.created_at)
+      .forEach(event => {
+        const element = window.timeline.createEventElement(event);
+        if (element) list.appendChild(element);
+      });
+
+    const loadMore = document.getElementById('profile-load-more');
+    loadMore.classList.toggle('loading', this.isLoading);
+    loadMore.classList.toggle('hidden', this.reachedEnd);
+  }
+
+  /**
+   * プロフィールのヘッダー部分
+   */
+  createHeader() {
+    const pubkey = this.pubkey;
+    const profile = window.dataStore.profiles.get(pubkey) || {};
+    const npub = window.NostrTools.nip19.npubEncode(pubkey);
+
+    const div = document.createElement('div');
+    div.className = 'profile-card';
+
+    if (profile.banner) {
+      const banner = document.createElement('img');
+      banner.className = 'profile-banner';
+      banner.src = profile.banner;
+      banner.alt = '';
+      banner.loading = 'lazy';
+      div.appendChild(banner);
+    }
+
+    const top = document.createElement('div');
+    top.className = 'profile-top';
+
+    if (profile.picture) {
+      const picture = document.createElement('img');
+      picture.className = 'profile-picture';
+      picture.src = profile.picture;
+      picture.alt = '';
+      picture.loading = 'lazy';
+      top.appendChild(picture);
+    }
+
+    const names = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'profile-name';
+    name.textContent = profile.display_name || profile.name || npub.substring(0, 12) + '...';
+    names.appendChild(name);
+
+    if (profile.name && profile.display_name && profile.name !== profile.display_name) {
+      const sub = document.createElement('div');
+      sub.className = 'profile-sub';
+      sub.textContent = '@' + profile.name;
+      names.appendChild(sub);
+    }
+
+    if (profile.nip05) {
+      const nip05 = document.createElement('div');
+      nip05.className = 'profile-sub';
+      const verified = window.nip05.getVerification(pubkey, profile.nip05);
+      nip05.textContent = (verified === true ? '✔ ' : '') + profile.nip05;
+      names.appendChild(nip05);
+    }
+    top.appendChild(names);
+    div.appendChild(top);
+
+    // フォロー・フォロワー数
+    const counts = document.createElement('div');
+    counts.className = 'profile-sub';
+    const followers = this.followerPubkeys.size;
+    counts.textContent =
+      `フォロー ${this.followCount ?? '-'}　` +
+      `フォロワー ${followers}${followers >= this.followerLimit ? '+' : ''}`;
+    div.appendChild(counts);
+
+    // 自己紹介
+    if (profile.about) {
+      const about = document.createElement('div');
+      about.className = 'profile-about';
+      window.timeline.parseContent(profile.about, []).forEach(part => about.appendChild(part));
+      div.appendChild(about);
+    }
+
+    // ウェブサイト・ライトニングアドレス
+    if (profile.website) {
+      const website = document.createElement('a');
+      website.className = 'nostr-ref profile-line';
+      website.href = /^https?:\/\//.test(profile.website) ? profile.website : 'https://' + profile.website;
+      website.target = '_blank';
+      website.rel = 'noreferrer';
+      website.textContent = '🔗 ' + profile.website;
+      div.appendChild(website);
+    }
+
+    if (profile.lud16) {
+      const lud16 = document.createElement('div');
+      lud16.className = 'profile-sub profile-line';
+      lud16.textContent = '⚡ ' + profile.lud16;
+      div.appendChild(lud16);
+    }
+
+    div.appendChild(this.createButtons(pubkey, npub));
+
+    return div;
+  }
+
+  /**
+   * フォロー・ミュート・外部リンク
+   */
+  createButtons(pubkey, npub) {
+    const buttons = document.createElement('div');
+    buttons.className = 'profile-buttons';
+
+    if (window.nostrAuth?.isLoggedIn() && pubkey !== window.nostrAuth.pubkey) {
+      const follow = document.createElement('button');
+      follow.textContent = window.dataStore.isFollowing(pubkey) ? 'フォロー解除' : 'フォロー';
+      follow.onclick = async () => {
+        await window.app.toggleFollow(pubkey);
+        this.renderNow();
+      };
+      buttons.appendChild(follow);
+
+      const mute = document.createElement('button');
+      mute.textContent = window.muteList.pubkeys.has(pubkey) ? 'ミュート中' : 'ミュート';
+      mute.disabled = window.muteList.pubkeys.has(pubkey);
+      mute.onclick = async () => {
+        await window.app.muteUser(pubkey);
+        this.renderNow();
+      };
+      buttons.appendChild(mute);
+    }
+
+    const external = document.createElement('a');
+    external.className = 'nostr-ref';
+    external.href = `https://ompomz.github.io/tweetsrecap/tweet?id=${npub}`;
+    external.target = '_blank';
+    external.rel = 'noreferrer';
+    external.textContent = '外部で見る';
+    buttons.appendChild(external);
+
+    return buttons;
+  }
+}
+
+// グローバルインスタンス
+window.profileView = new ProfileView();
+console.log('✅ ProfileView初期化完了');
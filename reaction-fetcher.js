@@ -0,0 +1,271 @@
+/**
+ * reaction-fetcher.js
+ * 描画された投稿へのリアクション（kind:7）とリポスト（kind:6）、取り消し（kind:5）をバッチ取得
+ * タイムラインは表示範囲の投稿しか描画しないので、見えている投稿の分だけ取得される
+ * リアクションの取り消しはリアクション自身のIDを指すので、届いたリアクションごとに別途取得する
+ */
+
+class ReactionFetcher {
+  constructor() {
+    this.queue = new Set();          // 取得待ちの投稿ID
+    this.fetched = new Set();        // 取得済み（取得中を含む）の投稿ID
+    this.watched = new Set();        // 新着を待ち受ける投稿ID（古いものから外す）
+    this.watchedReactions = new Set(); // 取り消しを待ち受けるリアクション・リポストのID（古いものから外す）
+    this.changedIds = new Set();     // 数が変わった投稿ID（描画待ち）
+    this.deletionQueue = new Set();  // 取り消しを確認するリアクション・リポストのID
+    this.deletionChecked = new Set(); // 取り消しを確認済み（確認中を含む）のID
+    this.timer = null;
+    this.deletionTimer = null;
+    this.updateTimer = null;
+    this.liveTimer = null;
+    this.liveSince = null;           // 張り直しを待っている間のsince（秒）
+    this.batchDelay = 500;           // バッチ処理の遅延（ms）
+    this.updateDelay = 300;          // 数の反映の遅延（ms）
+    this.liveDelay = 2000;           // 新着の購読を張り直すまでの遅延（ms）
+    this.maxBatchSize = 100;         // 一度に取得する最大数
+    this.maxWatched = 200;           // 新着を待ち受ける最大数
+    this.maxWatchedReactions = 500;  // 取り消しを待ち受ける最大数
+    this.retryDelay = 2000;          // リレー未接続時の再試行間隔（ms）
+  }
+
+  /**
+   * 投稿のリアクション取得をリクエスト
+   */
+  request(eventId) {
+    if (this.fetched.has(eventId)) return;
+
+    this.queue.add(eventId);
+    this.scheduleFlush();
+  }
+
+  /**
+   * フラッシュをスケジュール
+   */
+  scheduleFlush() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.batchDelay);
+  }
+
+  /**
+   * キューをフラッシュして実際に取得
+   */
+  flush() {
+    if (this.queue.size === 0) return;
+
+    const eventIds = Array.from(this.queue).slice(0, this.maxBatchSize);
+    eventIds.forEach(id => {
+      this.queue.delete(id);
+      this.fetched.add(id);
+    });
+
+    console.log(`💬 リアクションをバッチ取得: ${eventIds.length}件`);
+
+    const subId = 'reactions-' + Date.now();
+
+    const subscribed = window.relayManager.subscribe(subId, {
+      kinds: [5, 6, 7],
+      '#e': eventIds
+    }, (type, event) => {
+      if (type === 'EVENT') {
+        this.handleEvent(event);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe(subId);
+        console.log('✅ リアクション取得完了');
+      }
+    });
+
+    // リレー未接続ならキューに戻して後で再試行
+    if (!subscribed) {
+      eventIds.forEach(id => {
+        this.fetched.delete(id);
+        this.queue.add(id);
+      });
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.retryDelay);
+      return;
+    }
+
+    this.watch(eventIds);
+
+    // 残りがあれば続けて取得
+    if (this.queue.size > 0) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * リアクション・リポストの取り消し（kind:5）の取得をリクエスト
+   */
+  requestDeletions(eventId) {
+    if (this.deletionChecked.has(eventId)) return;
+
+    this.deletionChecked.add(eventId);
+    this.deletionQueue.add(eventId);
+    clearTimeout(this.deletionTimer);
+    this.deletionTimer = setTimeout(() => this.flushDeletions(), this.batchDelay);
+  }
+
+  /**
+   * 取り消しをバッチ取得
+   */
+  flushDeletions() {
+    if (this.deletionQueue.size === 0) return;
+
+    const eventIds = Array.from(this.deletionQueue).slice(0, this.maxBatchSize);
+    eventIds.forEach(id => this.deletionQueue.delete(id));
+
+    const subId = 'reaction-deletions-' + Date.now();
+
+    const subscribed = window.relayManager.subscribe(subId, {
+      kinds: [5],
+      '#e': eventIds
+    }, (type, event) => {
+      if (type === 'EVENT') {
+        this.handleEvent(event);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe(subId);
+      }
+    });
+
+    // リレー未接続ならキューに戻して後で再試行
+    if (!subscribed) {
+      eventIds.forEach(id => this.deletionQueue.add(id));
+      clearTimeout(this.deletionTimer);
+      this.deletionTimer = setTimeout(() => this.flushDeletions(), this.retryDelay);
+      return;
+    }
+
+    this.watchDeletions(eventIds);
+
+    if (this.deletionQueue.size > 0) {
+      clearTimeout(this.deletionTimer);
+      this.deletionTimer = setTimeout(() => this.flushDeletions(), this.batchDelay);
+    }
+  }
+
+  /**
+   * リアクション・リポストのこれからの取り消しを待ち受ける
+   */
+  watchDeletions(eventIds) {
+    if (this.addWatched(this.watchedReactions, eventIds, this.maxWatchedReactions)) {
+      this.scheduleLive();
+    }
+  }
+
+  /**
+   * 取得した投稿へのこれからのリアクションを待ち受ける
+   */
+  watch(eventIds) {
+    if (this.addWatched(this.watched, eventIds, this.maxWatched)) {
+      this.scheduleLive();
+    }
+  }
+
+  /**
+   * 待ち受けるIDを追加（古いものから外す）
+   * 新しいIDが加わったらtrue
+   */
+  addWatched(set, eventIds, max) {
+    let grew = false;
+    eventIds.forEach(id => {
+      if (!set.delete(id)) grew = true;
+      set.add(id);
+    });
+
+    const overflow = set.size - max;
+    if (overflow > 0) {
+      Array.from(set).slice(0, overflow).forEach(id => set.delete(id));
+    }
+    return grew;
+  }
+
+  /**
+   * 新着の購読の張り直しをスケジュール（増えた分をまとめて反映）
+   */
+  scheduleLive() {
+    // 待っている間に届いたものも拾えるよう、最初に増えた時刻から購読する
+    if (this.liveSince === null) {
+      this.liveSince = Math.floor(Date.now() / 1000);
+    }
+    if (this.liveTimer) return;
+
+    this.liveTimer = setTimeout(() => {
+      this.liveTimer = null;
+      this.subscribeLive();
+    }, this.liveDelay);
+  }
+
+  /**
+   * 新着のリアクションと取り消しの購読
+   * 1つの購読にまとめ、対象が増えたときだけ張り直す
+   */
+  subscribeLive() {
+    const since = this.liveSince ?? Math.floor(Date.now() / 1000);
+    this.liveSince = null;
+    const filters = [];
+
+    if (this.watched.size > 0) {
+      filters.push({ kinds: [5, 6, 7], '#e': Array.from(this.watched), since });
+    }
+    if (this.watchedReactions.size > 0) {
+      filters.push({ kinds: [5], '#e': Array.from(this.watchedReactions), since });
+    }
+    if (filters.length === 0) return;
+
+    window.relayManager.subscribe('reactions-live', filters, (type, event) => {
+      if (type === 'EVENT') {
+        this.handleEvent(event);
+      }
+    });
+  }
+
+  /**
+   * 届いたリアクションを保存し、対象の投稿の数を更新
+   */
+  handleEvent(event) {
+    if (![5, 6, 7].includes(event.kind)) return;
+    const added = window.dataStore.addEvent(event);
+
+    // 投稿・リアクションの取り消し
+    if (event.kind === 5) {
+      if (added) window.viewState.addEvent(event, window.app.currentTab);
+      return;
+    }
+
+    // 署名が無効・取り消し済みのものは除く
+    if (!window.dataStore.events.has(event.id)) return;
+
+    const targetId = event.kind === 6
+      ? window.dataStore.getRepostTargetId(event)
+      : window.dataStore.getReactionTargetId(event);
+    if (!targetId) return;
+
+    // 通知やキャッシュで取得済みのものも取り消しは確認する
+    this.requestDeletions(event.id);
+    if (!added) return;
+
+    this.changedIds.add(targetId);
+    this.scheduleUpdate();
+  }
+
+  /**
+   * 数の反映をスケジュール（まとめて描画）
+   */
+  scheduleUpdate() {
+    if (this.updateTimer) return;
+
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      const ids = new Set(this.changedIds);
+      this.changedIds.clear();
+
+      window.timeline?.updateReactions(ids);
+      window.threadView?.scheduleRender();
+      window.profileView?.scheduleRender();
+    }, this.updateDelay);
+  }
+}
+
+// グローバルインスタンス
+window.reactionFetcher = new ReactionFetcher();
+console.log('✅ ReactionFetcher初期化完了');
@@ -0,0 +1,152 @@
+/**
+ * reaction-picker.js
+ * リアクションの絵文字を選ぶパネル
+ * 選んだら :shortcode: とemojiタグつきのkind:7として送る（カスタム絵文字の場合）
+ */
+
+class ReactionPicker {
+  constructor() {
+    this.panel = null;
+    this.target = null;              // リアクションする投稿
+
+    // パネルの外をクリック・Escで閉じる
+    document.addEventListener('click', (e) => {
+      if (this.panel?.isConnected && !this.panel.contains(e.target)) this.close();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+  }
+
+  /**
+   * 開いているか
+   */
+  isOpen() {
+    return this.panel !== null;
+  }
+
+  /**
+   * 投稿へのリアクションを選ぶパネルを開く
+   */
+  open(event) {
+    this.close();
+    this.target = event;
+
+    const panel = document.createElement('div');
+    panel.id = 'reaction-picker';
+
+    // 最近使ったもの（なければふぁぼマーク）
+    const recent = window.emojiSets.recent.length > 0
+      ? window.emojiSets.recent
+      : [{ content: window.app.getDefaultReaction(), url: null }];
+    panel.appendChild(this.createSection('最近', recent));
+
+    // ユニコード絵文字
+    panel.appendChild(this.createSection('絵文字',
+      window.emojiSets.unicode.map(content => ({ content, url: null }))
+    ));
+
+    // カスタム絵文字（kind:10030・kind:30030）
+    window.emojiSets.getCustomGroups().forEach(group => {
+      panel.appendChild(this.createSection(group.title,
+        group.emojis.map(({ shortcode, url }) => ({ content: `:${shortcode}:`, url }))
+      ));
+    });
+
+    // ふぁぼ済みなら取り消し
+    if (window.dataStore.isLikedByMe(event.id)) {
+      const undo = document.createElement('button');
+      undo.type = 'button';
+      undo.className = 'reaction-picker-undo';
+      undo.textContent = 'ふぁぼを取り消す';
+      undo.onclick = () => {
+        this.close();
+        window.app.deleteMyReactions(event.id);
+      };
+      panel.appendChild(undo);
+    }
+
+    // 自由入力
+    const form = document.createElement('form');
+    form.className = 'reaction-picker-input';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = '+ や好きな絵文字';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = '送る';
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      if (input.value.trim()) this.select({ content: input.value.trim(), url: null });
+    };
+    panel.appendChild(form);
+
+    // 開いたクリックでそのまま閉じないよう、置くのは次のタスクで
+    this.panel = panel;
+    setTimeout(() => {
+      if (this.panel === panel) document.body.appendChild(panel);
+    }, 0);
+  }
+
+  /**
+   * 見出しと絵文字ボタンの並び
+   */
+  createSection(title, reactions) {
+    const section = document.createElement('div');
+    section.className = 'reaction-picker-section';
+
+    const heading = document.createElement('div');
+    heading.className = 'reaction-picker-title';
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    reactions.forEach(reaction => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'reaction-picker-item';
+      button.title = reaction.content;
+
+      if (reaction.url) {
+        const img = document.createElement('img');
+        img.src = reaction.url;
+        img.alt = reaction.content;
+        img.className = 'custom-emoji';
+        img.loading = 'lazy';
+        button.appendChild(img);
+      } else {
+        button.textContent = reaction.content;
+      }
+
+      button.onclick = () => this.select(reaction);
+      section.appendChild(button);
+    });
+
+    return section;
+  }
+
+  /**
+   * 選んだリアクションを送る
+   */
+  select(reaction) {
+    const target = this.target;
+    this.close();
+    if (target) {
+      window.app.sendReaction(target, reaction);
+    }
+  }
+
+  /**
+   * 閉じる
+   */
+  close() {
+    this.panel?.remove();
+    this.panel = null;
+    this.target = null;
+  }
+}
+
+// グローバルインスタンス
+window.reactionPicker = new ReactionPicker();
+console.log('✅ ReactionPicker初期化完了');
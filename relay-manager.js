@@ -1,91 +1,220 @@
 /**
  * relay-manager.js
  * リレー接続を一元管理するモジュール
+ * 複数リレーへ同時接続し、購読をまとめて扱う（リレープール）
  */
 
 class RelayManager {
   constructor() {
-    this.ws = null;
-    this.url = null;
-    this.subscriptions = new Map(); // subId -> handler
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
-    this.isConnecting = false;
+    this.relays = new Map();        // url -> { url, ws, reconnectAttempts, reconnectTimer }
+    this.subscriptions = new Map(); // subId -> { filters, handler, requestedRelays, relays, eoseRelays, seenIds, pages, eoseFired, eoseTimer }
+    this.baseReconnectDelay = 1000; // 再接続の初回待ち時間（ms）
+    this.maxReconnectDelay = 60000; // 再接続の最大待ち時間（ms）
+    this.eoseTimeout = 8000;        // EOSEを待つ最大時間（ms）
+    this.publishTimeout = 10000;    // OKを待つ最大時間（ms）
+    this.infoTimeout = 5000;        // NIP-11情報の取得タイムアウト（ms）
+    this.maxGapPages = 10;          // 取りこぼしを埋めるために続けて取得する最大回数
+
+    // 取りこぼしの埋め合わせ中の購読（sinceまで過去方向に取り直す）
+    this.gapFills = new Map();      // gapId -> { subId, url, pages, until, count }
+    this.gapCounter = 0;
+
+    // NIP-11 リレー情報
+    this.relayInfo = new Map();     // url -> Promise<info | null>
+
+    // 送信中のイベント（OK待ち）
+    this.pendingPublishes = new Map(); // eventId -> { targets, results, authRequired, message, promise, resolve, reject, timer }
+
+    // 接続状態が変わったときに呼ばれるコールバック（UI更新用）
+    this.onStatusChange = null;
+
+    // リレーからのNOTICE・CLOSEDを受け取るコールバック（url, type, message）
+    this.onNotice = null;
+
+    // ネットワーク復帰・画面復帰ですぐに再接続
+    window.addEventListener('online', () => {
+      console.log('🌐 オンラインに復帰しました');
+      this.reconnectNow();
+    });
+    window.addEventListener('offline', () => {
+      console.warn('📴 オフラインになりました');
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.reconnectNow();
+      }
+    });
+  }
+
+  /**
+   * リレーURLを正規化
+   */
+  normalizeUrl(url) {
+    return url.trim().replace(/\/+$/, '');
   }
 
   /**
-   * リレーに接続
+   * リレーに接続（プールに追加）
    */
   async connect(url) {
-    if (this.ws?.readyState === WebSocket.OPEN && this.url === url) {
+    url = this.normalizeUrl(url);
+
+    const existing = this.relays.get(url);
+    if (existing?.ws?.readyState === WebSocket.OPEN) {
       console.log('✅ すでに接続済み:', url);
-      return Promise.resolve();
+      return;
     }
 
-    // 既存接続をクリーンアップ
-    if (this.ws) {
-      this.disconnect();
-    }
+    const relay = existing || {
+      url,
+      ws: null,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      authenticated: false,
+      authRequiredSubIds: new Set(),  // auth-requiredでCLOSEDされた購読
+      authRequiredEventIds: new Set() // auth-requiredで拒否された送信
+    };
+    this.relays.set(url, relay);
+
+    return this.openSocket(relay);
+  }
 
-    this.url = url;
-    this.isConnecting = true;
+  /**
+   * 複数のリレーにまとめて接続
+   * 1つでも接続できればresolve
+   */
+  async connectAll(urls) {
+    const results = await Promise.allSettled(urls.map(url => this.connect(url)));
+    const connected = results.filter(r => r.status === 'fulfilled').length;
 
+    console.log(`🌐 リレー接続: ${connected}/${urls.length}`);
+
+    if (urls.length > 0 && connected === 0) {
+      throw new Error('どのリレーにも接続できませんでした');
+    }
+  }
+
+  /**
+   * WebSocketを開く
+   */
+  openSocket(relay) {
     return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(url);
-
-        this.ws.onopen = () => {
-          console.log('✅ リレー接続成功:', url);
-          this.isConnecting = false;
-          this.reconnectAttempts = 0;
-          
-          // 既存の購読を再開
-          this.resubscribeAll();
-          resolve();
-        };
-
-        this.ws.onmessage = (ev) => {
-          this.handleMessage(ev.data);
-        };
-
-        this.ws.onerror = (err) => {
-          console.error('❌ リレー接続エラー:', url, err);
-          this.isConnecting = false;
-          reject(err);
-        };
-
-        this.ws.onclose = () => {
-          console.warn('⚠️ リレー接続切断:', url);
-          this.isConnecting = false;
-          this.attemptReconnect();
-        };
-
-        // 接続タイムアウト（5秒）
-        setTimeout(() => {
-          if (this.ws?.readyState !== WebSocket.OPEN) {
-            this.ws?.close();
-            reject(new Error('接続タイムアウト'));
-          }
-        }, 5000);
+      let settled = false;
+      let ws;
 
+      try {
+        ws = new WebSocket(relay.url);
       } catch (err) {
         console.error('❌ WebSocket作成エラー:', err);
-        this.isConnecting = false;
         reject(err);
+        return;
       }
+
+      relay.ws = ws;
+      relay.authenticated = false;
+      relay.authRequiredSubIds.clear();
+      relay.authRequiredEventIds.clear();
+      this.notifyStatusChange();
+
+      ws.onopen = () => {
+        console.log('✅ リレー接続成功:', relay.url);
+        relay.reconnectAttempts = 0;
+        settled = true;
+        this.notifyStatusChange();
+
+        // 既存の購読を再開
+        this.resubscribeAll(relay.url);
+        resolve();
+      };
+
+      ws.onmessage = (ev) => {
+        this.handleMessage(relay.url, ev.data);
+      };
+
+      ws.onerror = (err) => {
+        console.error('❌ リレー接続エラー:', relay.url, err);
+        if (!settled) {
+          settled = true;
+          reject(err);
+        }
+      };
+
+      ws.onclose = () => {
+        // 置き換え済み・切断済みのソケットは無視
+        if (relay.ws !== ws) return;
+
+        console.warn('⚠️ リレー接続切断:', relay.url);
+        this.onRelayClosed(relay.url);
+        this.notifyStatusChange();
+
+        if (this.relays.get(relay.url) === relay) {
+          this.attemptReconnect(relay);
+        }
+      };
+
+      // 接続タイムアウト（5秒）
+      setTimeout(() => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          ws.close();
+          if (!settled) {
+            settled = true;
+            reject(new Error('接続タイムアウト'));
+          }
+        }
+      }, 5000);
     });
   }
 
   /**
    * メッセージハンドラー
    */
-  handleMessage(data) {
+  handleMessage(url, data) {
     try {
-      const [type, subId, event] = JSON.parse(data);
-      const handler = this.subscriptions.get(subId);
-
-      if (handler) {
-        handler(type, event, subId);
+      const message = JSON.parse(data);
+      if (!Array.isArray(message)) return;
+
+      switch (message[0]) {
+        case 'EVENT': {
+          // ["EVENT", subId, event]
+          const [, subId, event] = message;
+          this.handleEvent(url, subId, event);
+          break;
+        }
+
+        case 'EOSE':
+          // ["EOSE", subId]
+          this.handleEose(message[1], url);
+          break;
+
+        case 'OK': {
+          // ["OK", eventId, accepted, reason]
+          const [, eventId, accepted, reason] = message;
+          this.recordPublishResult(eventId, url, accepted === true, reason || '');
+          break;
+        }
+
+        case 'CLOSED': {
+          // ["CLOSED", subId, reason]
+          const [, subId, reason] = message;
+          this.handleClosed(url, subId, reason || '');
+          break;
+        }
+
+        case 'NOTICE':
+          // ["NOTICE", message]
+          console.warn('📢 NOTICE:', url, message[1]);
+          this.notifyNotice(url, 'NOTICE', message[1] || '');
+          break;
+
+        case 'AUTH':
+          // ["AUTH", challenge]
+          this.authenticate(url, message[1]).catch(err => {
+            console.error('❌ AUTH失敗:', url, err);
+          });
+          break;
+
+        default:
+          console.warn('⚠️ 不明なメッセージ:', url, message[0]);
       }
 
     } catch (err) {
@@ -93,26 +222,356 @@ class RelayManager {
     }
   }
 
+  /**
+   * EVENTメッセージの処理
+   */
+  handleEvent(url, subId, event) {
+    if (!event?.id) return;
+
+    // 取りこぼしの埋め合わせは元の購読に渡す
+    const gap = this.gapFills.get(subId);
+    if (gap) {
+      this.countPages(gap.pages, event);
+      this.handleEvent(url, gap.subId, event);
+      return;
+    }
+
+    const sub = this.subscriptions.get(subId);
+    if (!sub) return;
+
+    this.countPages(sub.pages.get(url), event);
+
+    // 複数リレーから届いた同一イベントは1度だけ渡す
+    if (sub.seenIds.has(event.id)) return;
+    sub.seenIds.add(event.id);
+    sub.handler('EVENT', event, subId, url);
+  }
+
+  /**
+   * CLOSEDメッセージの処理
+   * リレー側で購読が終了したので、そのリレーは応答済みとして扱う
+   */
+  handleClosed(url, subId, reason) {
+    console.warn('🚫 購読終了:', url, subId, reason);
+    this.notifyNotice(url, 'CLOSED', reason ? `${subId}: ${reason}` : subId);
+
+    if (this.gapFills.has(subId)) {
+      this.endGapFill(subId, false);
+      return;
+    }
+
+    const sub = this.subscriptions.get(subId);
+    if (!sub) return;
+
+    // 認証が必要なら、AUTH成功後に再購読する
+    if (reason.startsWith('auth-required:')) {
+      this.relays.get(url)?.authRequiredSubIds.add(subId);
+    }
+
+    sub.handler('CLOSED', reason, subId, url);
+    this.markEose(subId, url);
+  }
+
+  /**
+   * NIP-42: AUTHチャレンジに応答
+   * kind:22242に署名して送り、成功したら認証待ちの購読と送信をやり直す
+   */
+  async authenticate(url, challenge) {
+    const relay = this.relays.get(url);
+    if (!relay || typeof challenge !== 'string') return;
+
+    if (!window.nostrAuth?.canWrite()) {
+      console.warn('🔒 AUTH要求を受信しましたが、署名できません:', url);
+      this.notifyNotice(url, 'AUTH', '認証が必要です（署名できる鍵でサインインしてください）');
+      return;
+    }
+
+    const signed = await window.nostrAuth.signEvent({
+      kind: 22242,
+      content: '',
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [
+        ['relay', url],
+        ['challenge', challenge]
+      ]
+    });
+
+    try {
+      await this.sendWithAck('AUTH', signed, [url]);
+    } catch (err) {
+      this.notifyNotice(url, 'AUTH', '認証に失敗しました: ' + err.message);
+      throw err;
+    }
+
+    console.log('🔓 AUTH成功:', url);
+    relay.authenticated = true;
+    this.notifyNotice(url, 'AUTH', '認証しました');
+
+    // auth-requiredで閉じられた購読をやり直す
+    relay.authRequiredSubIds.forEach(subId => {
+      const sub = this.subscriptions.get(subId);
+      if (!sub || relay.ws?.readyState !== WebSocket.OPEN) return;
+
+      this.trackPages(sub, url, sub.filters);
+      relay.ws.send(JSON.stringify(['REQ', subId, ...sub.filters]));
+      sub.eoseRelays.delete(url);
+    });
+    relay.authRequiredSubIds.clear();
+
+    // auth-requiredで拒否された送信をやり直す（結果は届き直したOKで決まる）
+    relay.authRequiredEventIds.forEach(eventId => {
+      const pending = this.pendingPublishes.get(eventId);
+      if (!pending || relay.ws?.readyState !== WebSocket.OPEN) return;
+
+      relay.ws.send(pending.message);
+    });
+    relay.authRequiredEventIds.clear();
+  }
+
+  /**
+   * NOTICE・CLOSED・AUTHの内容を通知
+   */
+  notifyNotice(url, type, message) {
+    if (this.onNotice) {
+      this.onNotice(url, type, message);
+    }
+  }
+
+  /**
+   * EOSEメッセージの処理
+   * sinceまでの間に取りこぼしがあれば、埋め終わるまでそのリレーのEOSEを保留する
+   */
+  handleEose(subId, url) {
+    if (this.gapFills.has(subId)) {
+      this.continueGapFill(subId);
+      return;
+    }
+
+    const sub = this.subscriptions.get(subId);
+    const pages = sub?.pages.get(url);
+    if (pages) {
+      sub.pages.delete(url);
+      if (this.startGapFill(subId, url, pages)) return;
+    }
+
+    this.markEose(subId, url);
+  }
+
+  /**
+   * sinceとlimitのついたフィルターの件数を数え始める（取りこぼしの判定用）
+   * limit件ちょうど返ってきたら、sinceまでの間にまだイベントが残っている
+   */
+  trackPages(sub, url, filters) {
+    const pages = filters.map(filter =>
+      filter.since && filter.limit && !filter.until && !filter.search ? this.createPage(filter) : null
+    );
+
+    if (pages.some(Boolean)) {
+      sub.pages.set(url, pages);
+    } else {
+      sub.pages.delete(url);
+    }
+  }
+
+  /**
+   * フィルターごとの件数と最古の時刻
+   */
+  createPage(filter) {
+    return { filter, count: 0, oldest: Infinity };
+  }
+
+  /**
+   * 届いたイベントを該当するフィルターの件数に加える
+   */
+  countPages(pages, event) {
+    pages?.forEach(page => {
+      if (page && window.NostrTools.matchFilter(page.filter, event)) {
+        page.count++;
+        page.oldest = Math.min(page.oldest, event.created_at);
+      }
+    });
+  }
+
+  /**
+   * 続きを取るフィルター（limit件ちょうど返り、まだsinceまで届いていないもの）
+   * 同じ秒のイベントを落とさないよう、untilは届いた最古の時刻そのもの
+   */
+  getGapFilters(pages) {
+    return pages
+      .filter(page => page && page.count >= page.filter.limit &&
+        page.oldest > page.filter.since && page.oldest < (page.filter.until ?? Infinity))
+      .map(page => ({ ...page.filter, until: page.oldest }));
+  }
+
+  /**
+   * 取りこぼしの埋め合わせを始める（不要ならfalse）
+   */
+  startGapFill(subId, url, pages) {
+    const filters = this.getGapFilters(pages);
+    if (filters.length === 0) return false;
+
+    const gapId = `gap-${++this.gapCounter}`;
+    this.gapFills.set(gapId, { subId, url, pages: null, until: Infinity, count: 0 });
+
+    if (!this.requestGap(gapId, filters)) {
+      this.gapFills.delete(gapId);
+      return false;
+    }
+
+    console.log(`🧩 取りこぼしを取得: ${subId} ${url}`);
+    return true;
+  }
+
+  /**
+   * 埋め合わせの次の取得を送る
+   */
+  requestGap(gapId, filters) {
+    const gap = this.gapFills.get(gapId);
+    const ws = this.relays.get(gap.url)?.ws;
+    if (ws?.readyState !== WebSocket.OPEN) return false;
+
+    gap.pages = filters.map(filter => this.createPage(filter));
+    gap.until = Math.min(gap.until, ...filters.map(filter => filter.until));
+    gap.count++;
+    ws.send(JSON.stringify(['REQ', gapId, ...filters]));
+    return true;
+  }
+
+  /**
+   * 埋め合わせの1回分が終わったら、sinceに届くまで続ける
+   */
+  continueGapFill(gapId) {
+    const gap = this.gapFills.get(gapId);
+    const filters = this.getGapFilters(gap.pages);
+    gap.until = Math.min(gap.until, ...filters.map(filter => filter.until));
+
+    if (filters.length === 0) {
+      this.endGapFill(gapId, true);
+    } else if (gap.count >= this.maxGapPages || !this.requestGap(gapId, filters)) {
+      this.endGapFill(gapId, false);
+    }
+  }
+
+  /**
+   * 埋め合わせを終えて、保留していたEOSEを記録する
+   * 埋めきれなかったときは、残った隙間の上端を購読ハンドラーに'GAP'で知らせる
+   */
+  endGapFill(gapId, complete) {
+    const gap = this.gapFills.get(gapId);
+    if (!gap) return;
+    this.gapFills.delete(gapId);
+
+    const ws = this.relays.get(gap.url)?.ws;
+    if (ws?.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(['CLOSE', gapId]));
+    }
+
+    const sub = this.subscriptions.get(gap.subId);
+    if (!sub) return;
+
+    if (!complete && gap.until !== Infinity) {
+      console.warn(`⚠️ 取りこぼしを埋めきれませんでした: ${gap.subId} ${gap.url}`);
+      sub.handler('GAP', { until: gap.until }, gap.subId, gap.url);
+    }
+    this.markEose(gap.subId, gap.url);
+  }
+
+  /**
+   * リレーごとのEOSEを記録
+   * 対象リレーがすべて応答したら購読ハンドラーにEOSEを通知
+   */
+  markEose(subId, url) {
+    const sub = this.subscriptions.get(subId);
+    if (!sub || sub.eoseFired) return;
+
+    sub.eoseRelays.add(url);
+
+    const allAnswered = Array.from(sub.relays).every(u => sub.eoseRelays.has(u));
+    if (allAnswered) {
+      this.fireEose(subId);
+    }
+  }
+
+  /**
+   * リレーがEOSE（またはCLOSED）を返したか（タイムアウトと区別する）
+   */
+  hasAnswered(subId, url) {
+    return this.subscriptions.get(subId)?.eoseRelays.has(url) || false;
+  }
+
+  /**
+   * 購読ハンドラーにEOSEを通知（1購読につき1回）
+   */
+  fireEose(subId) {
+    const sub = this.subscriptions.get(subId);
+    if (!sub || sub.eoseFired) return;
+
+    sub.eoseFired = true;
+    clearTimeout(sub.eoseTimer);
+    sub.handler('EOSE', null, subId);
+  }
+
+  /**
+   * 購読対象のリレーURLを決定
+   * relaysを指定した場合はそのうち接続中のものだけ
+   */
+  getTargetUrls(relayUrls) {
+    const connected = this.getConnectedUrls();
+    if (!relayUrls || relayUrls.length === 0) {
+      return connected;
+    }
+
+    const wanted = new Set(relayUrls.map(url => this.normalizeUrl(url)));
+    return connected.filter(url => wanted.has(url));
+  }
+
   /**
    * イベントを購読
+   * options.relays: 購読するリレーURLの配列（省略時は接続中のすべて）
    */
-  subscribe(subId, filters, handler) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+  subscribe(subId, filters, handler, options = {}) {
+    const targets = this.getTargetUrls(options.relays);
+
+    if (targets.length === 0) {
       console.warn('⚠️ リレー未接続のため購読できません');
       return false;
     }
 
+    // 同じIDの購読があれば置き換え
+    if (this.subscriptions.has(subId)) {
+      this.unsubscribe(subId);
+    }
+
     // フィルターの正規化（配列化）
     const filterArray = Array.isArray(filters) ? filters : [filters];
 
-    // ハンドラーを登録
-    this.subscriptions.set(subId, handler);
+    // フィルターとハンドラーを登録（再接続時の再購読に使う）
+    const sub = {
+      filters: filterArray,
+      handler,
+      requestedRelays: options.relays
+        ? new Set(options.relays.map(url => this.normalizeUrl(url)))
+        : null,
+      relays: new Set(targets),
+      eoseRelays: new Set(),
+      seenIds: new Set(),
+      pages: new Map(),            // url -> 取りこぼしの判定用の件数（EOSEまで）
+      eoseFired: false,
+      eoseTimer: null
+    };
+    this.subscriptions.set(subId, sub);
+
+    // 応答しないリレーがあってもEOSEを返す
+    sub.eoseTimer = setTimeout(() => this.fireEose(subId), this.eoseTimeout);
 
     // REQメッセージを送信
-    const reqMsg = ['REQ', subId, ...filterArray];
-    this.ws.send(JSON.stringify(reqMsg));
+    const reqMsg = JSON.stringify(['REQ', subId, ...filterArray]);
+    targets.forEach(url => {
+      this.trackPages(sub, url, filterArray);
+      this.relays.get(url).ws.send(reqMsg);
+    });
 
-    console.log('📡 購読開始:', subId, filterArray);
+    console.log(`📡 購読開始: ${subId} (${targets.length}リレー)`, filterArray);
     return true;
   }
 
@@ -120,13 +579,24 @@ class RelayManager {
    * 購読を解除
    */
   unsubscribe(subId) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      this.subscriptions.delete(subId);
-      return;
-    }
+    const sub = this.subscriptions.get(subId);
+    if (!sub) return;
 
-    this.ws.send(JSON.stringify(['CLOSE', subId]));
+    clearTimeout(sub.eoseTimer);
     this.subscriptions.delete(subId);
+
+    this.gapFills.forEach((gap, gapId) => {
+      if (gap.subId === subId) this.endGapFill(gapId, false);
+    });
+
+    const closeMsg = JSON.stringify(['CLOSE', subId]);
+    sub.relays.forEach(url => {
+      const ws = this.relays.get(url)?.ws;
+      if (ws?.readyState === WebSocket.OPEN) {
+        ws.send(closeMsg);
+      }
+    });
+
     console.log('📡 購読解除:', subId);
   }
 
@@ -140,77 +610,336 @@ class RelayManager {
 
   /**
    * すべての購読を再開（再接続時用）
+   * 取得済みの最新イベント以降だけを取り直し、limitで切れた分は過去方向に埋める
    */
-  resubscribeAll() {
-    console.log('🔄 購読を再開します...');
-    // 一旦保存
-    const subs = new Map(this.subscriptions);
-    this.subscriptions.clear();
+  resubscribeAll(url) {
+    const ws = this.relays.get(url)?.ws;
+    let count = 0;
+
+    this.subscriptions.forEach((sub, subId) => {
+      if (sub.requestedRelays && !sub.requestedRelays.has(url)) return;
+
+      const filters = sub.filters.map(filter => this.adjustSince(filter));
+      this.trackPages(sub, url, filters);
+      ws.send(JSON.stringify(['REQ', subId, ...filters]));
+      sub.relays.add(url);
+      sub.eoseRelays.delete(url);
+      count++;
+    });
+
+    if (count > 0) {
+      console.log(`🔄 購読を再開しました: ${url} (${count}件)`);
+    }
+  }
 
-    // 再購読（実際のフィルターは保持していないので、
-    // 呼び出し側で再度subscribeを呼ぶ必要がある）
-    // ここでは登録だけ戻す
-    subs.forEach((handler, subId) => {
-      this.subscriptions.set(subId, handler);
+  /**
+   * 再購読・差分取得用にsinceを調整
+   * DataStoreにある最新イベントより新しいものだけを要求する
+   */
+  adjustSince(filter) {
+    // 過去方向の取得（もっと見る）・検索はそのまま
+    if (filter.until || filter.search) return filter;
+
+    const newest = window.dataStore?.getNewestTimestamp(filter);
+    if (!newest) return filter;
+
+    return { ...filter, since: Math.max(filter.since || 0, newest) };
+  }
+
+  /**
+   * リレー切断時の処理
+   * EOSE待ちの購読はこのリレーを応答済みとして扱う
+   */
+  onRelayClosed(url) {
+    this.gapFills.forEach((gap, gapId) => {
+      if (gap.url === url) this.endGapFill(gapId, false);
+    });
+
+    Array.from(this.subscriptions.keys()).forEach(subId => {
+      const sub = this.subscriptions.get(subId);
+      sub?.pages.delete(url);
+      if (sub?.relays.has(url)) {
+        this.markEose(subId, url);
+      }
+    });
+
+    // OK待ちの送信は失敗扱い
+    Array.from(this.pendingPublishes.keys()).forEach(eventId => {
+      this.recordPublishResult(eventId, url, false, 'error: 接続が切れました');
     });
   }
 
   /**
-   * 再接続を試みる
+   * 再接続を試みる（上限なしの指数バックオフ＋ジッター）
+   * オフライン中・非表示中は復帰イベントを待つ
    */
-  attemptReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('❌ 再接続の上限に達しました');
+  attemptReconnect(relay) {
+    if (!navigator.onLine || document.hidden) {
+      console.log('⏸️ 復帰まで再接続を保留:', relay.url);
       return;
     }
 
-    this.reconnectAttempts++;
-    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 10000);
+    relay.reconnectAttempts++;
+    const maxDelay = Math.min(
+      this.baseReconnectDelay * Math.pow(2, relay.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    const delay = Math.round(maxDelay / 2 + Math.random() * maxDelay / 2);
 
-    console.log(`🔄 ${delay}ms後に再接続を試みます... (試行 ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+    console.log(`🔄 ${delay}ms後に再接続を試みます... ${relay.url} (試行 ${relay.reconnectAttempts})`);
 
-    setTimeout(() => {
-      if (this.url) {
-        this.connect(this.url).catch(err => {
-          console.error('再接続失敗:', err);
+    clearTimeout(relay.reconnectTimer);
+    relay.reconnectTimer = setTimeout(() => {
+      if (this.relays.get(relay.url) === relay) {
+        this.openSocket(relay).catch(err => {
+          console.error('再接続失敗:', relay.url, err);
         });
       }
     }, delay);
   }
 
   /**
-   * 切断
+   * 切断中のリレーにすぐ再接続
+   */
+  reconnectNow() {
+    if (!navigator.onLine) return;
+
+    this.relays.forEach(relay => {
+      if (this.getStatus(relay.url) !== 'closed') return;
+
+      clearTimeout(relay.reconnectTimer);
+      relay.reconnectAttempts = 0;
+      this.openSocket(relay).catch(err => {
+        console.error('再接続失敗:', relay.url, err);
+      });
+    });
+  }
+
+  /**
+   * リレーを切断してプールから外す
    */
-  disconnect() {
-    if (this.ws) {
-      this.unsubscribeAll();
-      this.ws.close();
-      this.ws = null;
+  disconnect(url) {
+    url = this.normalizeUrl(url);
+    const relay = this.relays.get(url);
+    if (!relay) return;
+
+    this.relays.delete(url);
+    clearTimeout(relay.reconnectTimer);
+
+    if (relay.ws) {
+      const ws = relay.ws;
+      relay.ws = null;
+      ws.close();
     }
-    this.url = null;
-    console.log('🔌 リレーから切断しました');
+
+    this.onRelayClosed(url);
+    this.subscriptions.forEach(sub => sub.relays.delete(url));
+    this.notifyStatusChange();
+
+    console.log('🔌 リレーから切断しました:', url);
+  }
+
+  /**
+   * すべてのリレーから切断
+   */
+  disconnectAll() {
+    this.unsubscribeAll();
+    Array.from(this.relays.keys()).forEach(url => this.disconnect(url));
   }
 
   /**
-   * 接続状態を取得
+   * 接続状態を取得（いずれかのリレーに接続中か）
    */
   isConnected() {
-    return this.ws?.readyState === WebSocket.OPEN;
+    return this.getConnectedUrls().length > 0;
+  }
+
+  /**
+   * 接続中のリレーURL一覧
+   */
+  getConnectedUrls() {
+    return Array.from(this.relays.values())
+      .filter(relay => relay.ws?.readyState === WebSocket.OPEN)
+      .map(relay => relay.url);
+  }
+
+  /**
+   * NIP-11: リレー情報を取得（失敗時はnull、成功した結果はキャッシュ）
+   */
+  fetchRelayInfo(url) {
+    url = this.normalizeUrl(url);
+    if (this.relayInfo.has(url)) {
+      return this.relayInfo.get(url);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.infoTimeout);
+
+    const promise = fetch(url.replace(/^ws/, 'http'), {
+      headers: { Accept: 'application/nostr+json' },
+      signal: controller.signal
+    })
+      .then(response => response.ok ? response.json() : null)
+      .catch(err => {
+        console.warn('⚠️ リレー情報の取得失敗:', url, err.message);
+        return null;
+      })
+      .then(info => {
+        clearTimeout(timer);
+        // 失敗したら次回取り直す
+        if (!info) this.relayInfo.delete(url);
+        return info;
+      });
+
+    this.relayInfo.set(url, promise);
+    return promise;
+  }
+
+  /**
+   * NIP-11の supported_nips に含まれるか
+   */
+  async supportsNip(url, nip) {
+    const info = await this.fetchRelayInfo(url);
+    return Array.isArray(info?.supported_nips) && info.supported_nips.includes(nip);
+  }
+
+  /**
+   * リレーごとの接続状態（'open' | 'connecting' | 'closed'）
+   */
+  getStatus(url) {
+    const ws = this.relays.get(this.normalizeUrl(url))?.ws;
+    if (ws?.readyState === WebSocket.OPEN) return 'open';
+    if (ws?.readyState === WebSocket.CONNECTING) return 'connecting';
+    return 'closed';
+  }
+
+  /**
+   * 接続状態の変化を通知
+   */
+  notifyStatusChange() {
+    if (this.onStatusChange) {
+      this.onStatusChange();
+    }
   }
 
   /**
    * イベントを送信（投稿・ふぁぼなど）
+   * 接続中のすべてのリレーに送り、OKを待つ
+   * 1つ以上のリレーが受理すれば [{ url, accepted, message }] でresolve
+   * すべて拒否・タイムアウトならrejectし、err.resultsに同じ配列を入れる
+   */
+  publish(event, options = {}) {
+    const targets = this.getTargetUrls(options.relays);
+    if (targets.length === 0) {
+      return Promise.reject(new Error('リレーに接続されていません'));
+    }
+
+    console.log(`📤 イベント送信: kind:${event.kind} (${targets.length}リレー)`);
+    return this.sendWithAck('EVENT', event, targets);
+  }
+
+  /**
+   * EVENT・AUTHメッセージを送ってOKを待つ
+   * OK待ちの同じイベントを送り直したときは、まだ送っていないリレーにだけ送って同じ結果を待つ
+   */
+  sendWithAck(type, event, targets) {
+    const existing = this.pendingPublishes.get(event.id);
+    if (existing) {
+      const added = targets.filter(url => !existing.targets.includes(url));
+      existing.targets.push(...added);
+      added.forEach(url => this.relays.get(url).ws.send(existing.message));
+      return existing.promise;
+    }
+
+    const pending = {
+      targets: [...targets],
+      results: new Map(),
+      authRequired: new Map(),     // url -> auth-requiredの理由（AUTH後の送り直し待ち）
+      message: JSON.stringify([type, event]),
+      promise: null,
+      resolve: null,
+      reject: null,
+      timer: null
+    };
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+    });
+    this.pendingPublishes.set(event.id, pending);
+
+    // 応答のないリレーはタイムアウト扱い（認証待ちのままなら拒否の理由を残す）
+    pending.timer = setTimeout(() => {
+      pending.targets.forEach(url => {
+        if (!pending.results.has(url)) {
+          const message = pending.authRequired.get(url) || 'timeout: 応答がありません';
+          pending.results.set(url, { url, accepted: false, message });
+        }
+      });
+      this.settlePublish(event.id);
+    }, this.publishTimeout);
+
+    pending.targets.forEach(url => this.relays.get(url).ws.send(pending.message));
+    return pending.promise;
+  }
+
+  /**
+   * リレーごとの送信結果を記録
    */
-  publish(event) {
-    if (!this.isConnected()) {
-      throw new Error('リレーに接続されていません');
+  recordPublishResult(eventId, url, accepted, message) {
+    const pending = this.pendingPublishes.get(eventId);
+    if (!pending || !pending.targets.includes(url) || pending.results.has(url)) {
+      return;
     }
 
-    this.ws.send(JSON.stringify(['EVENT', event]));
-    console.log('📤 イベント送信:', event.kind);
+    // 認証が必要なら、AUTH成功後に1度だけ送り直す（AUTHと行き違いで認証済みならすぐ）
+    const relay = this.relays.get(url);
+    if (!accepted && message.startsWith('auth-required:') && relay &&
+        !pending.authRequired.has(url) && window.nostrAuth?.canWrite()) {
+      console.warn('🔒 認証待ちの送信:', url, message);
+      pending.authRequired.set(url, message);
+      if (relay.authenticated) {
+        relay.ws.send(pending.message);
+      } else {
+        relay.authRequiredEventIds.add(eventId);
+      }
+      return;
+    }
+
+    pending.results.set(url, { url, accepted, message });
+
+    if (accepted) {
+      console.log('✅ 送信受理:', url, message);
+    } else {
+      console.warn('⚠️ 送信拒否:', url, message);
+    }
+
+    if (pending.results.size === pending.targets.length) {
+      this.settlePublish(eventId);
+    }
+  }
+
+  /**
+   * 送信結果を確定
+   */
+  settlePublish(eventId) {
+    const pending = this.pendingPublishes.get(eventId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingPublishes.delete(eventId);
+
+    const results = pending.targets.map(url => pending.results.get(url));
+
+    if (results.some(r => r.accepted)) {
+      pending.resolve(results);
+    } else {
+      const err = new Error(results.map(r => `${r.url}: ${r.message}`).join('\n'));
+      err.results = results;
+      pending.reject(err);
+    }
   }
 }
 
 // グローバルインスタンス
 window.relayManager = new RelayManager();
-console.log('✅ RelayManager初期化完了');
\ No newline at end of file
+console.log('✅ RelayManager初期化完了');
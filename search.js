@@ -0,0 +1,242 @@
+/**
+ * search.js
+ * NIP-50 全文検索（「検索」タブ）
+ * NIP-11でNIP-50対応を表明しているリレーに search 付きのREQを送り、
+ * 対応リレーがなければ手元のイベントを部分一致で探す
+ * クエリ: 「#タグ」でハッシュタグ、「from:npub…」で投稿者を指定
+ * ハッシュタグを複数指定したときはすべてを含むもの（リレーの '#t' はどれか1つなので手元で絞る）
+ */
+
+class Search {
+  constructor() {
+    this.query = null;               // parseQueryの結果
+    this.searchRelays = null;        // 検索に使うリレー（nullなら全リレー）
+    this.oldestTimestamp = null;     // もっと見る用（次のuntil）
+    this.receivedIds = new Set();    // リレーから届いたID（同じ秒の取り直しで重複を数えない）
+    this.reachedEnd = false;
+    this.isLoading = false;
+    this.pageSize = 50;
+  }
+
+  /**
+   * クエリを分解
+   */
+  parseQuery(text) {
+    const words = [];
+    const hashtags = [];
+    const authors = [];
+
+    text.split(/\s+/).filter(Boolean).forEach(token => {
+      if (token.startsWith('#') && token.length > 1) {
+        hashtags.push(token.substring(1).toLowerCase());
+        return;
+      }
+
+      if (token.startsWith('from:')) {
+        const pubkey = this.decodeAuthor(token.substring(5));
+        if (pubkey) {
+          authors.push(pubkey);
+          return;
+        }
+      }
+
+      words.push(token);
+    });
+
+    return { text: text.trim(), words, hashtags, authors };
+  }
+
+  /**
+   * from: の値（npub・hex）をpubkeyに
+   */
+  decodeAuthor(value) {
+    if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase();
+
+    if (value.startsWith('npub')) {
+      try {
+        return window.NostrTools.nip19.decode(value).data;
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 検索中か
+   */
+  isActive() {
+    return this.query !== null;
+  }
+
+  /**
+   * 検索を実行（前回の結果は消す）
+   */
+  async run(text) {
+    const query = this.parseQuery(text);
+    if (query.words.length === 0 && query.hashtags.length === 0 && query.authors.length === 0) {
+      return;
+    }
+
+    window.relayManager.unsubscribe('search');
+    window.viewState.clearTab('search');
+
+    this.query = query;
+    this.searchRelays = null;
+    this.oldestTimestamp = null;
+    this.receivedIds = new Set();
+    this.reachedEnd = false;
+    this.isLoading = false;
+
+    console.log('🔍 検索:', query);
+
+    // 語句があればNIP-50対応リレーだけに送る
+    if (query.words.length > 0) {
+      const urls = window.relayManager.getConnectedUrls();
+      const supported = await Promise.all(urls.map(url => window.relayManager.supportsNip(url, 50)));
+
+      // 待っている間に別の検索が始まった
+      if (this.query !== query) return;
+
+      this.searchRelays = urls.filter((url, i) => supported[i]);
+
+      if (this.searchRelays.length === 0) {
+        console.log('🔍 NIP-50対応リレーがないため手元のイベントから検索します');
+        this.searchLocal();
+        this.reachedEnd = true;
+        window.viewState.renderNow();
+        window.pagination.updateButton();
+        return;
+      }
+    }
+
+    this.fetch();
+  }
+
+  /**
+   * 検索用のフィルター
+   */
+  buildFilter() {
+    const { words, hashtags, authors } = this.query;
+    const filter = { kinds: [1], limit: this.pageSize };
+
+    if (words.length > 0) filter.search = words.join(' ');
+    if (hashtags.length > 0) filter['#t'] = hashtags;
+    if (authors.length > 0) filter.authors = authors;
+    // 同じ秒の投稿を落とさないよう、untilは最古の時刻そのもの
+    if (this.oldestTimestamp) filter.until = this.oldestTimestamp;
+
+    return filter;
+  }
+
+  /**
+   * リレーから検索結果を取得（2回目以降は古い方へ）
+   */
+  fetch() {
+    if (!this.query || this.isLoading || this.reachedEnd) {
+      window.pagination.updateButton();
+      return;
+    }
+
+    const query = this.query;
+    let received = 0;                // 届いた件数
+    let added = 0;                   // そのうち初めて届いた件数
+    this.isLoading = true;
+    window.pagination.updateButton();
+
+    const options = this.searchRelays ? { relays: this.searchRelays } : {};
+    const subscribed = window.relayManager.subscribe('search', this.buildFilter(), (type, event) => {
+      if (this.query !== query) return;
+
+      if (type === 'EVENT') {
+        if (event.kind !== 1) return;
+
+        window.dataStore.addEvent(event);
+        if (!window.dataStore.events.has(event.id)) return; // 検証失敗
+
+        received++;
+        if (!this.receivedIds.has(event.id)) added++;
+        this.receivedIds.add(event.id);
+        if (!this.oldestTimestamp || event.created_at < this.oldestTimestamp) {
+          this.oldestTimestamp = event.created_at;
+        }
+        if (this.matchesHashtags(event)) {
+          window.viewState.addToTab('search', event, window.app.currentTab);
+        }
+
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe('search');
+        this.isLoading = false;
+        if (added === 0) {
+          if (received >= this.pageSize) {
+            // 同じ秒の投稿だけで1ページ埋まった（その秒は諦めて先へ）
+            this.oldestTimestamp--;
+          } else {
+            this.reachedEnd = true;
+          }
+        }
+        console.log(`✅ 検索完了: ${added}件`);
+        window.profileFetcher.flushNow();
+        window.viewState.renderNow();
+        window.pagination.updateButton();
+      }
+    }, options);
+
+    if (!subscribed) {
+      this.isLoading = false;
+      window.pagination.updateButton();
+    }
+  }
+
+  /**
+   * 手元のイベントから部分一致で検索
+   */
+  searchLocal() {
+    let count = 0;
+    window.dataStore.events.forEach(event => {
+      if (this.matches(event)) {
+        window.viewState.addToTab('search', event, window.app.currentTab);
+        count++;
+      }
+    });
+    console.log(`🔍 手元の検索結果: ${count}件`);
+  }
+
+  /**
+   * イベントがクエリに一致するか
+   */
+  matches(event) {
+    if (event.kind !== 1) return false;
+
+    const { words, hashtags, authors } = this.query;
+
+    if (authors.length > 0 && !authors.includes(event.pubkey)) return false;
+    if (!this.matchesHashtags(event)) return false;
+
+    const text = window.contentFilter.normalize(event.content);
+    return words.every(word => text.includes(window.contentFilter.normalize(word)));
+  }
+
+  /**
+   * 指定したハッシュタグをすべて含むか
+   */
+  matchesHashtags(event) {
+    const { hashtags } = this.query;
+    if (hashtags.length === 0) return true;
+
+    const tags = new Set(event.tags.filter(t => t[0] === 't' && t[1]).map(t => t[1].toLowerCase()));
+    return hashtags.every(tag => tags.has(tag));
+  }
+
+  /**
+   * 本文中で強調する語句
+   */
+  getHighlightTerms() {
+    if (!this.query) return [];
+    return [...this.query.words, ...this.query.hashtags.map(tag => '#' + tag)];
+  }
+}
+
+// グローバルインスタンス
+window.search = new Search();
+console.log('✅ Search初期化完了');
@@ -0,0 +1,340 @@
+/**
+ * thread-view.js
+ * 会話（スレッド）表示
+ * rootとその子孫（kind:1 #e）を取得し、返信関係をインデントしたツリーで描画
+ */
+
+class ThreadView {
+  constructor() {
+    this.rootId = null;
+    this.subscribedRootId = null;      // 購読中のスレッドのroot
+    this.focusId = null;               // クリックされた投稿
+    this.eventIds = new Set();         // スレッドに属するイベントID
+    this.fetchingIds = new Set();      // 個別取得中のイベントID
+    this.notFoundIds = new Set();      // 見つからなかったイベントID
+    this.renderedSignature = null;     // 描画済みツリーの判定値
+    this.savedScrollY = 0;
+
+    // 描画タイマー
+    this.renderTimer = null;
+    this.renderDelay = 300;
+    this.maxIndentDepth = 8;
+  }
+
+  /**
+   * スレッド表示中か
+   */
+  isOpen() {
+    return this.rootId !== null;
+  }
+
+  /**
+   * 投稿のスレッドを開く
+   */
+  open(eventId) {
+    // プロフィール表示中なら閉じる
+    if (window.profileView?.isOpen()) {
+      window.profileView.close();
+    }
+
+    const event = window.dataStore.events.get(eventId);
+
+    // 手元にない投稿は取得してから開き直す
+    if (!event) {
+      this.show();
+      this.focusId = eventId;
+      this.rootId = eventId;
+      this.eventIds = new Set();
+      this.fetchEvent(eventId, () => this.open(eventId));
+      this.scheduleRender();
+      return;
+    }
+
+    const { rootId } = window.dataStore.getThreadRefs(event);
+    const newRootId = rootId || event.id;
+
+    this.focusId = event.id;
+
+    // 同じスレッド内の移動なら取り直さない
+    if (this.subscribedRootId === newRootId && this.eventIds.has(event.id)) {
+      this.renderNow();
+      return;
+    }
+
+    this.show();
+    this.rootId = newRootId;
+    this.eventIds = new Set([event.id]);
+    this.notFoundIds.clear();
+
+    console.log('🧵 スレッドを開く:', this.rootId);
+    this.subscribeThread();
+    this.renderNow();
+  }
+
+  /**
+   * スレッドを閉じてタイムラインに戻る
+   */
+  close() {
+    window.relayManager.unsubscribe('thread');
+    clearTimeout(this.renderTimer);
+
+    this.rootId = null;
+    this.subscribedRootId = null;
+    this.focusId = null;
+    this.eventIds.clear();
+    this.renderedSignature = null;
+
+    document.getElementById('thread-view').classList.add('hidden');
+    document.getElementById('timeline-view').classList.remove('hidden');
+    window.scrollTo(0, this.savedScrollY);
+    window.timeline.renderWindow();
+  }
+
+  /**
+   * スレッド表示に切り替え
+   */
+  show() {
+    if (!this.isOpen()) {
+      this.savedScrollY = window.scrollY;
+    }
+    document.getElementById('timeline-view').classList.add('hidden');
+    document.getElementById('thread-view').classList.remove('hidden');
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * rootと返信をまとめて購読
+   */
+  subscribeThread() {
+    const rootId = this.rootId;
+    this.subscribedRootId = rootId;
+
+    window.relayManager.subscribe('thread', [
+      { ids: [rootId] },
+      { kinds: [1], '#e': [rootId] }
+    ], (type, event) => {
+      if (type === 'EVENT') {
+        this.addEvent(event);
+      } else if (type === 'EOSE') {
+        console.log('✅ スレッド取得完了');
+        window.profileFetcher.flushNow();
+        this.renderNow();
+      }
+    });
+  }
+
+  /**
+   * 投稿を1件取得（祖先の遡り用）
+   */
+  fetchEvent(eventId, onFound) {
+    if (this.fetchingIds.has(eventId)) return;
+    this.fetchingIds.add(eventId);
+
+    const subId = 'thread-fetch-' + eventId.substring(0, 8);
+    let found = false;
+
+    const subscribed = window.relayManager.subscribe(subId, { ids: [eventId] }, (type, event) => {
+      if (type === 'EVENT' && event.id === eventId) {
+        found = true;
+        this.addEvent(event);
+      } else if (type === 'EOSE') {
+        window.relayManager.unsubscribe(subId);
+        this.fetchingIds.delete(eventId);
+
+        if (found) {
+          if (onFound) onFound();
+        } else {
+          this.notFoundIds.add(eventId);
+        }
+        this.renderNow();
+      }
+    });
+
+    if (!subscribed) {
+      this.fetchingIds.delete(eventId);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * スレッドにイベントを追加
+   */
+  addEvent(event) {
+    if (event.kind !== 1) return;
+
+    window.dataStore.addEvent(event);
+    if (!window.dataStore.events.has(event.id)) return; // 検証失敗
+
+    this.eventIds.add(event.id);
+    window.profileFetcher.request(event.pubkey);
+    this.scheduleRender();
+  }
+
+  /**
+   * 表示中のスレッドの投稿なら追加（自分の返信の反映用）
+   */
+  addIfInThread(event) {
+    if (!this.isOpen()) return;
+
+    const { rootId } = window.dataStore.getThreadRefs(event);
+    if (rootId === this.rootId) {
+      this.addEvent(event);
+    }
+  }
+
+  /**
+   * 親投稿のIDを取得（rootならnull）
+   */
+  getParentId(event) {
+    if (event.id === this.rootId) return null;
+    const { replyId, rootId } = window.dataStore.getThreadRefs(event);
+    return replyId || rootId;
+  }
+
+  /**
+   * 描画をスケジュール
+   */
+  scheduleRender() {
+    if (!this.isOpen()) return;
+
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), this.renderDelay);
+  }
+
+  /**
+   * 即座に描画
+   */
+  renderNow() {
+    clearTimeout(this.renderTimer);
+    this.render();
+  }
+
+  /**
+   * ツリーを描画
+   */
+  render() {
+    if (!this.isOpen()) return;
+
+    const events = Array.from(this.eventIds)
+      .map(id => window.dataStore.events.get(id))
+      .filter(Boolean);
+
+    // 親ID -> 子イベント
+    const children = new Map();
+    const startIds = [this.rootId];
+
+    events.forEach(event => {
+      const parentId = this.getParentId(event);
+      if (!parentId) return;
+
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(event);
+
+      // 親が手元にない（root以外）→ 途中から表示
+      if (!this.eventIds.has(parentId) && !startIds.includes(parentId)) {
+        startIds.push(parentId);
+      }
+    });
+
+    children.forEach(siblings => siblings.sort((a, b) => a.created_at - b.created_at));
+
+    const rows = [];
+    startIds.forEach(id => this.collectRows(rows, id, 0, children));
+
+    // 表示が変わらないなら作り直さない
+    const signature = JSON.stringify([this.focusId, rows.map(row => this.getRowSignature(row))]);
+    if (signature === this.renderedSignature) return;
+    this.renderedSignature = signature;
+
+    const list = document.getElementById('thread-list');
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    rows.forEach(row => list.appendChild(this.createRowElement(row)));
+
+    console.log(`🧵 スレッド描画: ${events.length}件`);
+  }
+
+  /**
+   * ノードとその子孫を表示順に並べる
+   * ミュート・NG（隠すモード）の投稿は、返信があるときだけ「非表示」として残す
+   */
+  collectRows(rows, eventId, depth, children) {
+    const event = this.eventIds.has(eventId) ? window.dataStore.events.get(eventId) : null;
+    const replies = children.get(eventId) || [];
+    const hidden = !!event && window.viewState.isHidden(event);
+
+    if (hidden && replies.length === 0) return;
+    rows.push({ eventId, event, depth, hidden });
+
+    replies.forEach(child => {
+      this.collectRows(rows, child.id, depth + 1, children);
+    });
+  }
+
+  /**
+   * 1行ぶんの判定値
+   */
+  getRowSignature({ eventId, event, depth, hidden }) {
+    if (!event) {
+      return [eventId, depth, this.fetchingIds.has(eventId), this.notFoundIds.has(eventId)];
+    }
+    return [eventId, depth, hidden, hidden ? null : window.timeline.getEventSignature(event)];
+  }
+
+  /**
+   * 1行ぶんの要素を作成
+   */
+  createRowElement({ eventId, event, depth, hidden }) {
+    let element;
+    if (!event) {
+      element = this.createMissingElement(eventId);
+    } else if (hidden) {
+      element = document.createElement('li');
+      element.className = 'event thread-missing';
+      element.textContent = '非表示の投稿';
+    } else {
+      element = window.timeline.createEventElement(event);
+    }
+
+    element.classList.add('thread-item');
+    element.style.marginLeft = `${Math.min(depth, this.maxIndentDepth)}rem`;
+    if (eventId === this.focusId) {
+      element.classList.add('thread-focus');
+    }
+    return element;
+  }
+
+  /**
+   * 未取得の投稿（取得ボタン付き）
+   */
+  createMissingElement(eventId) {
+    const el = document.createElement('li');
+    el.className = 'event thread-missing';
+
+    if (this.fetchingIds.has(eventId)) {
+      el.textContent = '読み込み中...';
+    } else if (this.notFoundIds.has(eventId)) {
+      el.textContent = '投稿が見つかりませんでした';
+    } else {
+      const button = document.createElement('a');
+      button.href = '#';
+      button.className = 'nostr-ref';
+      button.textContent = '↑ 前の投稿を読み込む';
+      button.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.fetchEvent(eventId);
+      };
+      el.appendChild(button);
+    }
+
+    return el;
+  }
+}
+
+// グローバルインスタンス
+window.threadView = new ThreadView();
+console.log('✅ ThreadView初期化完了');
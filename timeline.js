@@ -1,6 +1,7 @@
 /**
  * timeline.js
  * タイムライン描画ロジック
+ * 表示中の範囲だけをDOMに置き、イベントIDごとの差分で更新する
  */
 
 class Timeline {
@@ -11,6 +12,46 @@ class Timeline {
       flowgazerOnly: false,
       authors: null
     };
+    this.showReactionCounts = true;  // 投稿にリアクション数を表示するか
+
+    // 描画対象（並び順どおり）: { key, events, create }
+    this.items = [];
+    this.rendered = new Map();       // key -> { element, signature }
+    this.heights = new Map();        // key -> 実測の高さ（px）
+    this.estimatedHeight = 120;      // 未計測の要素の高さ（px）
+    this.overscan = 1000;            // 画面外にも描画しておく範囲（px）
+
+    // ハッシュタグ（行頭か空白の直後の「#」から、空白・記号の手前まで）
+    this.hashtagPattern = /(?<=^|\s)#[^\s#.,!?:;"'()\[\]{}<>、。！？「」（）]+/;
+
+    // 表示範囲外の高さを埋めるスペーサー
+    this.topSpacer = this.createSpacer();
+    this.bottomSpacer = this.createSpacer();
+    this.container.appendChild(this.topSpacer);
+    this.container.appendChild(this.bottomSpacer);
+
+    // スクロール・リサイズで表示範囲を更新
+    this.frameRequested = false;
+    const onViewportChange = () => {
+      if (this.frameRequested) return;
+      this.frameRequested = true;
+      requestAnimationFrame(() => {
+        this.frameRequested = false;
+        this.renderWindow();
+      });
+    };
+    window.addEventListener('scroll', onViewportChange, { passive: true });
+    window.addEventListener('resize', onViewportChange);
+  }
+
+  /**
+   * スペーサー要素
+   */
+  createSpacer() {
+    const li = document.createElement('li');
+    li.className = 'timeline-spacer';
+    li.setAttribute('aria-hidden', 'true');
+    return li;
   }
 
   /**
@@ -18,6 +59,10 @@ class Timeline {
    */
   switchTab(tab) {
     this.currentTab = tab;
+
+    // タブによって表示が変わる（通知の未読など）ので作り直す
+    this.clearRendered();
+    window.scrollTo(0, 0);
     this.refresh();
   }
 
@@ -29,39 +74,374 @@ class Timeline {
     this.refresh();
   }
 
+  /**
+   * リアクション数の表示を切り替え
+   */
+  setShowReactionCounts(enabled) {
+    this.showReactionCounts = enabled;
+    this.clearRendered();
+    this.refresh();
+  }
+
+  /**
+   * リアクションの数とふぁぼ済みの表示だけを更新（要素は作り直さない）
+   * eventIdsがnullなら描画中のすべての投稿
+   */
+  updateReactions(eventIds) {
+    // 非表示中（スレッド・プロフィール表示中）は差し替えだけして、計測はしない
+    const visible = this.container.offsetParent !== null;
+    const anchor = visible ? this.findAnchor() : null;
+    let changed = false;
+
+    this.container.querySelectorAll('[data-reaction-target]').forEach(element => {
+      const eventId = element.dataset.reactionTarget;
+      if (eventIds && !eventIds.has(eventId)) return;
+
+      element.classList.toggle('event-liked', window.dataStore.isLikedByMe(eventId));
+
+      const badge = element.querySelector(':scope > .reaction-badge');
+      if (badge) {
+        badge.replaceWith(this.createReactionBadge(eventId));
+      }
+      changed = true;
+    });
+
+    if (!changed || !visible) return;
+
+    // 高さを計り直し、読んでいた位置を保つ
+    this.rendered.forEach(({ element }, key) => this.heights.set(key, element.offsetHeight));
+    if (anchor) {
+      const element = this.rendered.get(anchor.key)?.element;
+      if (element) {
+        const delta = element.getBoundingClientRect().top - anchor.top;
+        if (Math.abs(delta) >= 1) {
+          window.scrollBy(0, delta);
+        }
+      }
+    }
+  }
+
+  /**
+   * 描画済みの要素をすべて破棄
+   */
+  clearRendered() {
+    this.rendered.forEach(({ element }) => element.remove());
+    this.rendered.clear();
+  }
+
   /**
    * タイムラインを再描画
    */
   refresh() {
-    // 自動更新がOFFなら何もしない
-    if (!window.app?.isAutoUpdate) {
-      console.log('⏸️ 自動更新OFF: 描画スキップ');
-      return;
+    // ViewState（自動更新OFFの間の新着は含まれない）から表示対象を取得
+    const events = window.viewState.getVisibleEvents(this.currentTab, this.filterOptions);
+
+    if (this.currentTab === 'notifications') {
+      // 通知タブは同じ投稿へのリアクションをまとめる
+      window.notifications.markRead();
+      this.items = window.notifications.group(events).map(item => ({
+        key: item.type === 'reaction' ? `reactions:${item.targetId}` : item.events[0].id,
+        events: item.events,
+        unread: window.notifications.isUnread(item),
+        create: () => this.createNotificationElement(item)
+      }));
+    } else {
+      this.items = events.map(event => ({
+        key: event.id,
+        events: [event],
+        unread: false,
+        create: () => this.createEventElement(event)
+      }));
     }
 
-    // コンテナをクリア
-    while (this.container.firstChild) {
-      this.container.removeChild(this.container.firstChild);
+    this.renderWindow();
+
+    console.log(`📜 タイムライン描画: ${this.items.length}件 (${this.currentTab})`);
+  }
+
+  /**
+   * 表示範囲の要素だけをDOMに置く
+   * 既存の要素は内容が変わっていなければそのまま使い、
+   * 上に投稿が増えても読んでいた位置がずれないようにする
+   */
+  renderWindow() {
+    // 非表示中（スレッド・プロフィール表示中）は計測できないので何もしない
+    if (this.container.offsetParent === null) return;
+
+    const anchor = this.findAnchor();
+    const { start, end, before, after } = this.computeWindow();
+    const windowItems = this.items.slice(start, end);
+
+    // 要素を用意（変わっていないものは再利用）
+    const next = new Map();
+    windowItems.forEach(item => {
+      const signature = this.getItemSignature(item);
+      const existing = this.rendered.get(item.key);
+
+      if (existing && existing.signature === signature && existing.element.isConnected) {
+        next.set(item.key, existing);
+        return;
+      }
+
+      const element = item.create();
+      if (!element) return;
+      next.set(item.key, { element, signature });
+    });
+
+    // 範囲外になった要素を外す
+    this.rendered.forEach(({ element }, key) => {
+      if (next.get(key)?.element !== element) element.remove();
+    });
+
+    // 並び順どおりに配置（位置が合っているものは動かさない）
+    let cursor = this.topSpacer.nextSibling;
+    next.forEach(({ element }) => {
+      if (element === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        this.container.insertBefore(element, cursor);
+      }
+    });
+    // 「表示する」で差し替えられた要素などの残り
+    while (cursor && cursor !== this.bottomSpacer) {
+      const stale = cursor;
+      cursor = cursor.nextSibling;
+      stale.remove();
     }
 
-    // ViewStateから表示対象を取得
-    const events = window.viewState.getVisibleEvents(this.currentTab, this.filterOptions);
+    this.rendered = next;
+    this.topSpacer.style.height = `${before}px`;
+    this.bottomSpacer.style.height = `${after}px`;
+
+    // 高さを計測
+    windowItems.forEach(item => {
+      const entry = next.get(item.key);
+      if (!entry) return;
+      this.heights.set(item.key, entry.element.offsetHeight);
+      item.events.forEach(event => window.dataStore.touchEvent(event.id));
+    });
 
-    // 描画
-    events.forEach(event => {
-      const element = this.createEventElement(event);
+    // 読んでいた位置を保つ
+    if (anchor) {
+      const element = next.get(anchor.key)?.element;
       if (element) {
-        this.container.appendChild(element);
+        const delta = element.getBoundingClientRect().top - anchor.top;
+        if (Math.abs(delta) >= 1) {
+          window.scrollBy(0, delta);
+        }
       }
+    }
+  }
+
+  /**
+   * 位置合わせの基準にする要素（画面内で最初に見えている要素）
+   * タイムラインの先頭より上にいるときは基準を取らない（新着をそのまま見せる）
+   */
+  findAnchor() {
+    if (this.container.getBoundingClientRect().top >= 0) return null;
+
+    for (const [key, { element }] of this.rendered) {
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom > 0) {
+        return { key, top: rect.top };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 描画する範囲（items の添字）と上下スペーサーの高さ
+   */
+  computeWindow() {
+    const containerTop = this.container.getBoundingClientRect().top;
+    const viewTop = -containerTop - this.overscan;
+    const viewBottom = -containerTop + window.innerHeight + this.overscan;
+
+    let offset = 0;
+    let start = this.items.length;
+    let end = this.items.length;
+    let before = 0;
+    let after = 0;
+
+    this.items.forEach((item, index) => {
+      const height = this.heights.get(item.key) ?? this.estimatedHeight;
+
+      if (offset + height < viewTop) {
+        before += height;
+      } else if (offset <= viewBottom) {
+        if (start === this.items.length) start = index;
+        end = index + 1;
+      } else {
+        after += height;
+      }
+      offset += height;
     });
 
-    console.log(`📜 タイムライン描画: ${events.length}件 (${this.currentTab})`);
+    return { start, end: Math.max(start, end), before, after };
+  }
+
+  /**
+   * 表示内容が変わったかを判定するための値
+   * ふぁぼ・リアクション数・プロファイル・参照先の取得状況などを含める
+   */
+  getItemSignature(item) {
+    const parts = item.events.map(event => this.getEventSignature(event));
+    return JSON.stringify([item.unread, parts]);
+  }
+
+  /**
+   * イベント1件ぶんの判定値
+   */
+  getEventSignature(event) {
+    const store = window.dataStore;
+    const refIds = event.tags.filter(t => t[0] === 'e' && t[1]).map(t => t[1]);
+
+    // 投稿者と参照先の投稿者（認証済みマークも見る）
+    const authors = new Set([event.pubkey]);
+    refIds.forEach(id => {
+      const ref = store.events.get(id);
+      if (ref) authors.add(ref.pubkey);
+    });
+    // メンションされた人（表示名だけ）
+    const mentioned = event.tags.filter(t => t[0] === 'p' && t[1]).map(t => t[1]);
+
+    return [
+      window.contentFilter.shouldCollapse(event),
+      store.isLikedByMe(event.id),
+      refIds.map(id => [
+        store.events.has(id) ? 1 : window.eventFetcher.isNotFound(id) ? 2 : 0,
+        store.isLikedByMe(id)
+      ]),
+      Array.from(authors).map(pubkey => {
+        const profile = store.profiles.get(pubkey);
+        return [
+          profile?.created_at,
+          store.isFollowing(pubkey),
+          window.nip05.getVerification(pubkey, profile?.nip05)
+        ];
+      }),
+      mentioned.map(pubkey => store.profiles.get(pubkey)?.created_at),
+      // zapレシートの検証状況
+      event.kind === 9735 ? window.zapVerifier.getVerification(event) : null
+    ];
+  }
+
+  /**
+   * 通知要素
+   */
+  createNotificationElement(item) {
+    const event = item.events[0];
+    let li;
+
+    switch (item.type) {
+      case 'reaction':
+        li = this.createReactionGroupElement(item);
+        break;
+      case 'zap':
+        li = this.createZapElement(event);
+        break;
+      case 'mention':
+      case 'reply': {
+        li = this.createEventElement(event);
+        if (!li) return null;
+        const header = document.createElement('div');
+        header.className = 'notification-header';
+        header.textContent = item.type === 'reply' ? '💬 返信' : '📣 メンション';
+        li.prepend(header);
+        break;
+      }
+      default:
+        li = this.createEventElement(event);
+    }
+
+    if (li && window.notifications.isUnread(item)) {
+      li.classList.add('notification-unread');
+    }
+    return li;
+  }
+
+  /**
+   * 同じ投稿へのリアクションをまとめた要素（「Aさん他3人がふぁぼ」）
+   */
+  createReactionGroupElement(item) {
+    const latest = item.events[0];
+    const li = document.createElement('li');
+    li.className = 'event event-like';
+
+    const header = document.createElement('div');
+    header.className = 'notification-header';
+
+    // 絵文字（重複なし）
+    const emojis = Array.from(new Set(item.events.map(ev => ev.content || '⭐')));
+    const emoji = document.createElement('span');
+    emoji.textContent = emojis.slice(0, 5).join('') + ' ';
+    emoji.style.cssText = 'font-size: 1.2rem; margin-right: 0.25rem;';
+    header.appendChild(emoji);
+
+    header.appendChild(this.createTimestamp(latest));
+    header.appendChild(document.createTextNode(' '));
+    header.appendChild(this.createAuthorLink(latest.pubkey));
+
+    const others = new Set(item.events.map(ev => ev.pubkey));
+    others.delete(latest.pubkey);
+    header.appendChild(document.createTextNode(
+      others.size > 0 ? `さん他${others.size}人がふぁぼ` : 'さんがふぁぼ'
+    ));
+    li.appendChild(header);
+
+    // 対象投稿
+    li.appendChild(this.createOriginalPostPreview(item.targetId));
+
+    return li;
+  }
+
+  /**
+   * NIP-57: zap要素
+   */
+  createZapElement(event) {
+    const li = document.createElement('li');
+    li.className = 'event event-zap';
+
+    const sender = window.notifications.getActor(event);
+    const amount = window.notifications.getZapAmount(event);
+
+    const header = document.createElement('div');
+    header.className = 'notification-header';
+    header.appendChild(document.createTextNode('⚡ '));
+    header.appendChild(this.createTimestamp(event));
+    header.appendChild(document.createTextNode(' '));
+    header.appendChild(this.createAuthorLink(sender));
+    header.appendChild(document.createTextNode(
+      amount ? `さんが${amount} satsをzap` : 'さんがzap'
+    ));
+    li.appendChild(header);
+
+    // zapのコメント
+    const comment = window.notifications.getZapRequest(event)?.content;
+    if (comment) {
+      const div = document.createElement('div');
+      div.className = 'post-content';
+      div.textContent = comment;
+      li.appendChild(div);
+    }
+
+    const targetId = event.tags.find(t => t[0] === 'e')?.[1];
+    if (targetId) {
+      li.appendChild(this.createOriginalPostPreview(targetId));
+    }
+
+    return li;
   }
 
   /**
    * イベント要素を作成
    */
   createEventElement(event) {
+    // NGワード・NGユーザー（たたむモード）
+    if (window.contentFilter.shouldCollapse(event)) {
+      return this.createCollapsedElement(event);
+    }
+
     switch (event.kind) {
       case 1:
         return this.createPostElement(event);
@@ -74,6 +454,33 @@ class Timeline {
     }
   }
 
+  /**
+   * たたんだ投稿（「表示する」で展開）
+   */
+  createCollapsedElement(event) {
+    const li = document.createElement('li');
+    li.className = 'event event-collapsed';
+
+    li.appendChild(this.createMetadata(event));
+
+    const note = document.createElement('span');
+    note.textContent = `${window.contentFilter.check(event)}を含む投稿 `;
+    li.appendChild(note);
+
+    const reveal = document.createElement('a');
+    reveal.href = '#';
+    reveal.className = 'nostr-ref';
+    reveal.textContent = '[表示する]';
+    reveal.onclick = (e) => {
+      e.preventDefault();
+      window.contentFilter.reveal(event.id);
+      li.replaceWith(this.createEventElement(event));
+    };
+    li.appendChild(reveal);
+
+    return li;
+  }
+
   /**
    * kind:1（投稿）要素
    */
@@ -82,49 +489,91 @@ class Timeline {
     li.className = 'event event-post';
     li.id = event.id;
 
+    this.fillPostBody(li, event);
+
+    return li;
+  }
+
+  /**
+   * 投稿の中身（リポスト内の埋め込み表示と共通）
+   */
+  fillPostBody(element, event) {
+    // リアクションが届いたときの更新先
+    element.dataset.reactionTarget = event.id;
+
     // ふぁぼ済みなら枠を付ける
     if (window.dataStore.isLikedByMe(event.id)) {
-      li.classList.add('event-liked');
+      element.classList.add('event-liked');
     }
 
     // 長押しでふぁぼ
-    this.attachLongPressHandler(li, event);
+    this.attachLongPressHandler(element, event);
+
+    // クリックでスレッド表示
+    this.attachThreadOpenHandler(element, event);
+
+    // 返信なら返信先を表示
+    const replyHeader = this.createReplyHeader(event);
+    if (replyHeader) element.appendChild(replyHeader);
 
     // メタデータ（時刻・投稿者）
-    li.appendChild(this.createMetadata(event));
+    element.appendChild(this.createMetadata(event));
 
     // 本文
-    li.appendChild(this.createContent(event));
+    element.appendChild(this.createContent(event));
 
-    // マイポストタブならリアクション数を表示
-    if (this.currentTab === 'myposts') {
-      const badge = this.createReactionBadge(event.id);
-      if (badge) li.appendChild(badge);
-    }
+    // 返信・引用・リポスト
+    element.appendChild(this.createPostActions(event));
 
-    return li;
+    // リアクション数（描画された投稿の分だけ取得する）
+    if (this.showReactionCounts) {
+      element.appendChild(this.createReactionBadge(event.id));
+      window.reactionFetcher.request(event.id);
+    }
   }
 
   /**
    * kind:6（リポスト）要素
+   * 元投稿を「リポストした人」ヘッダーの下に埋め込んで表示
    */
   createRepostElement(event) {
     const li = document.createElement('li');
     li.className = 'event event-repost';
 
-    li.appendChild(this.createMetadata(event));
+    // ヘッダー（時刻・リポストした人）
+    const header = document.createElement('div');
+    header.className = 'repost-header';
+    header.appendChild(document.createTextNode('🔁 '));
+    header.appendChild(this.createTimestamp(event));
+    header.appendChild(document.createTextNode(' '));
+    header.appendChild(this.createAuthorLink(event.pubkey));
+    header.appendChild(document.createTextNode(' がリポスト'));
+    li.appendChild(header);
+
+    const targetId = window.dataStore.getRepostTargetId(event);
+    if (!targetId) return li;
+
+    const target = window.dataStore.events.get(targetId);
+
+    if (target?.kind === 1) {
+      const inner = document.createElement('div');
+      inner.className = 'repost-inner';
+      this.fillPostBody(inner, target);
+      window.profileFetcher.request(target.pubkey);
+      li.appendChild(inner);
+      return li;
+    }
 
-    const prefix = document.createElement('span');
-    prefix.textContent = 'RP: ';
-    prefix.className = 'repost-prefix';
-    li.appendChild(prefix);
+    // 元投稿が手元にない → 取得
+    window.eventFetcher.request(targetId);
 
-    // 対象投稿へのリンク
-    const targetId = event.tags.find(t => t[0] === 'e')?.[1];
-    if (targetId) {
-      const link = this.createEventLink(targetId);
-      li.appendChild(link);
-    }
+    const status = document.createElement('div');
+    status.className = 'repost-inner repost-missing';
+    status.textContent = window.eventFetcher.isNotFound(targetId)
+      ? '元投稿が見つかりませんでした '
+      : '元投稿を読み込み中... ';
+    status.appendChild(this.createEventLink(targetId));
+    li.appendChild(status);
 
     return li;
   }
@@ -145,7 +594,7 @@ class Timeline {
     li.appendChild(emoji);
 
     // 対象投稿へのリンク
-    const targetId = event.tags.find(t => t[0] === 'e')?.[1];
+    const targetId = window.dataStore.getReactionTargetId(event);
     if (targetId) {
       const link = this.createEventLink(targetId);
       link.textContent = '→ 投稿を見る';
@@ -159,6 +608,59 @@ class Timeline {
     return li;
   }
 
+  /**
+   * 投稿へのアクション（返信・引用・リポスト・ミュート）
+   */
+  createPostActions(event) {
+    const span = document.createElement('span');
+    span.className = 'post-actions';
+
+    const actions = [
+      { label: '返信', onClick: () => window.app.startReply(event) },
+      { label: '引用', onClick: () => window.app.startQuote(event) },
+      { label: 'RP', onClick: () => window.app.sendRepost(event) },
+      { label: 'ふぁぼ', onClick: () => window.reactionPicker.open(event) },
+      { label: 'ミュート', onClick: () => window.app.muteUser(event.pubkey) },
+      { label: 'スレッドをミュート', onClick: () => window.app.muteThread(event) }
+    ];
+
+    // 自分の投稿は削除できる
+    if (event.pubkey === window.nostrAuth?.pubkey) {
+      actions.push({ label: '削除', onClick: () => window.app.deletePost(event) });
+    }
+
+    actions.forEach(({ label, onClick }) => {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'post-action';
+      link.textContent = label;
+      link.onclick = (e) => {
+        e.preventDefault();
+        onClick();
+      };
+      span.appendChild(link);
+    });
+
+    return span;
+  }
+
+  /**
+   * 返信先ヘッダー（NIP-10）
+   */
+  createReplyHeader(event) {
+    const targetPubkey = window.dataStore.getReplyTargetPubkey(event);
+    if (!targetPubkey) return null;
+
+    window.profileFetcher.request(targetPubkey);
+
+    const div = document.createElement('div');
+    div.className = 'reply-header';
+    div.appendChild(document.createTextNode('↩ '));
+    div.appendChild(this.createAuthorLink(targetPubkey));
+    div.appendChild(document.createTextNode(' への返信'));
+    return div;
+  }
+
   /**
    * メタデータ（時刻・投稿者）
    */
@@ -173,11 +675,56 @@ class Timeline {
     // 投稿者
     const author = this.createAuthorLink(event.pubkey);
     span.appendChild(author);
+
+    // NIP-05認証済みマーク
+    const verifiedMark = this.createNip05Mark(event.pubkey);
+    if (verifiedMark) span.appendChild(verifiedMark);
+
+    // フォロー・フォロー解除
+    const followToggle = this.createFollowToggle(event.pubkey);
+    if (followToggle) span.appendChild(followToggle);
+
     span.appendChild(document.createTextNode(' > '));
 
     return span;
   }
 
+  /**
+   * NIP-05認証済みマーク（検証できたときだけ）
+   */
+  createNip05Mark(pubkey) {
+    const nip05 = window.dataStore.profiles.get(pubkey)?.nip05;
+    if (window.nip05.getVerification(pubkey, nip05) !== true) return null;
+
+    const mark = document.createElement('span');
+    mark.className = 'nip05-verified';
+    mark.textContent = '✔';
+    mark.title = nip05;
+    return mark;
+  }
+
+  /**
+   * フォロー切り替えボタン（未フォロー: ＋ / フォロー中: ✓）
+   */
+  createFollowToggle(pubkey) {
+    if (!window.nostrAuth?.isLoggedIn() || pubkey === window.nostrAuth.pubkey) {
+      return null;
+    }
+
+    const following = window.dataStore.isFollowing(pubkey);
+
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = following ? 'follow-toggle following' : 'follow-toggle';
+    link.textContent = following ? '✓' : '＋';
+    link.title = following ? 'フォロー解除' : 'フォロー';
+    link.onclick = (e) => {
+      e.preventDefault();
+      window.app.toggleFollow(pubkey);
+    };
+    return link;
+  }
+
   /**
    * タイムスタンプリンク
    */
@@ -189,7 +736,7 @@ class Timeline {
 
     const nevent = window.NostrTools.nip19.neventEncode({
       id: event.id,
-      relays: [window.relayManager.url]
+      relays: window.relayManager.getConnectedUrls().slice(0, 2)
     });
 
     const link = document.createElement('a');
@@ -215,6 +762,7 @@ class Timeline {
     link.target = '_blank';
     link.rel = 'noreferrer';
     link.textContent = displayName;
+    this.attachProfileOpenHandler(link, pubkey);
 
     // 色付け
     const hue = parseInt(pubkey.substring(0, 2), 16) * 360 / 256;
@@ -231,8 +779,9 @@ class Timeline {
     const div = document.createElement('div');
     div.className = 'post-content';
 
-    // テキスト処理（URL・nostr参照・カスタム絵文字）
-    const parts = this.parseContent(event.content, event.tags);
+    // テキスト処理（URL・メディア・nostr参照・カスタム絵文字）
+    const media = window.mediaRenderer.collect(event.content, event.tags);
+    const parts = this.parseContent(event.content, event.tags, media);
     parts.forEach(part => div.appendChild(part));
 
     return div;
@@ -240,17 +789,24 @@ class Timeline {
 
   /**
    * 本文をパース
+   * mediaを渡すと画像・動画・音声のURLをプレビューにする
    */
-  parseContent(content, tags) {
-    const pattern = /(https?:\/\/[^\s]+)|(nostr:[\w]+1[ac-hj-np-z02-9]+)|(:[_a-zA-Z0-9]+:)/;
+  parseContent(content, tags, media = null) {
+    const pattern = new RegExp(
+      /(https?:\/\/[^\s]+)|(nostr:[\w]+1[ac-hj-np-z02-9]+)|(:[_a-zA-Z0-9]+:)|/.source +
+      `(${this.hashtagPattern.source})`
+    );
     const parts = content.split(pattern).filter(s => s);
+    const wholeHashtag = new RegExp(`^(?:${this.hashtagPattern.source})$`);
 
+    let offset = 0;                  // 本文中での位置（partsをつなげると本文に戻る）
     return parts.map(s => {
-      if (!s) return document.createTextNode('');
+      const start = offset;
+      offset += s.length;
 
       // URL
       if (s.startsWith('http')) {
-        return this.createUrlLink(s);
+        return (media && window.mediaRenderer.createPreview(s, media)) || this.createUrlLink(s);
       }
 
       // nostr参照
@@ -263,28 +819,68 @@ class Timeline {
         return this.createCustomEmoji(s, tags);
       }
 
-      return document.createTextNode(s);
+      // ハッシュタグ（直前が本文の先頭か空白のときだけ。nostr参照や絵文字にくっついた「#」は除く）
+      if (s.startsWith('#') && wholeHashtag.test(s) && (start === 0 || /\s/.test(content[start - 1]))) {
+        return this.createHashtagLink(s.substring(1));
+      }
+
+      return this.createText(s);
     });
   }
 
   /**
-   * URLリンク
+   * 本文中のハッシュタグ（小文字・重複なし）
    */
-  createUrlLink(url) {
-    const isImage = /\.(jpeg|jpg|gif|png|webp|avif)$/i.test(url);
+  extractHashtags(content) {
+    const pattern = new RegExp(this.hashtagPattern.source, 'g');
+    const tags = (content.match(pattern) || []).map(s => s.substring(1).toLowerCase());
+    return Array.from(new Set(tags));
+  }
 
-    if (isImage) {
-      const link = document.createElement('a');
-      link.href = '#';
-      link.className = 'nostr-ref';
-      link.textContent = '[画像を表示]';
-      link.onclick = (e) => {
-        e.preventDefault();
-        if (window.openModal) window.openModal(url);
-      };
-      return link;
+  /**
+   * ハッシュタグのリンク（クリックでハッシュタグのタイムライン、検索タブでは検索語を強調）
+   */
+  createHashtagLink(tag) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'nostr-ref hashtag';
+    link.appendChild(this.createText('#' + tag));
+    link.onclick = (e) => {
+      e.preventDefault();
+      window.app.openHashtag(tag);
+    };
+    return link;
+  }
+
+  /**
+   * テキスト（検索タブでは検索語を強調）
+   */
+  createText(text) {
+    const terms = this.currentTab === 'search' ? window.search.getHighlightTerms() : [];
+    if (terms.length === 0) {
+      return document.createTextNode(text);
     }
 
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'i');
+
+    const span = document.createElement('span');
+    text.split(pattern).filter(s => s).forEach(s => {
+      if (pattern.test(s)) {
+        const mark = document.createElement('mark');
+        mark.textContent = s;
+        span.appendChild(mark);
+      } else {
+        span.appendChild(document.createTextNode(s));
+      }
+    });
+    return span;
+  }
+
+  /**
+   * URLリンク
+   */
+  createUrlLink(url) {
     const link = document.createElement('a');
     link.href = url;
     link.target = '_blank';
@@ -304,9 +900,44 @@ class Timeline {
     link.rel = 'noreferrer';
     link.className = 'nostr-ref';
     link.textContent = `nostr:${nip19.substring(0, 12)}...`;
+
+    // npub・nprofileはプロフィールを開く
+    const pubkey = this.decodeProfileRef(nip19);
+    if (pubkey) {
+      window.profileFetcher.request(pubkey);
+      link.textContent = '@' + window.dataStore.getDisplayName(pubkey);
+      this.attachProfileOpenHandler(link, pubkey);
+    }
+
     return link;
   }
 
+  /**
+   * npub・nprofileからpubkeyを取り出す
+   */
+  decodeProfileRef(nip19) {
+    try {
+      const { type, data } = window.NostrTools.nip19.decode(nip19);
+      if (type === 'npub') return data;
+      if (type === 'nprofile') return data.pubkey;
+    } catch (err) {
+      // 不正なbech32は外部リンクのまま
+    }
+    return null;
+  }
+
+  /**
+   * クリックでアプリ内のプロフィールを開く
+   * Ctrl・Cmdクリックは従来どおり外部ページを新しいタブで開く
+   */
+  attachProfileOpenHandler(link, pubkey) {
+    link.addEventListener('click', (e) => {
+      if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+      e.preventDefault();
+      window.profileView.open(pubkey);
+    });
+  }
+
   /**
    * カスタム絵文字
    */
@@ -331,7 +962,7 @@ class Timeline {
   createEventLink(eventId) {
     const nevent = window.NostrTools.nip19.neventEncode({
       id: eventId,
-      relays: [window.relayManager.url]
+      relays: window.relayManager.getConnectedUrls().slice(0, 2)
     });
 
     const link = document.createElement('a');
@@ -374,9 +1005,13 @@ class Timeline {
 
       div.appendChild(author);
       div.appendChild(content);
-    } else {
+    } else if (window.eventFetcher.isNotFound(eventId)) {
       div.textContent = '元投稿が見つかりませんでした';
       div.style.color = '#999';
+    } else {
+      window.eventFetcher.request(eventId);
+      div.textContent = '元投稿を読み込み中...';
+      div.style.color = '#999';
     }
 
     return div;
@@ -386,33 +1021,54 @@ class Timeline {
    * リアクションバッジ
    */
   createReactionBadge(eventId) {
-    const counts = window.dataStore.getReactionCount(eventId);
-    const parts = [];
-
-    if (counts.reactions > 0) parts.push(`⭐${counts.reactions}`);
-    if (counts.reposts > 0) parts.push(`🔁${counts.reposts}`);
-
-    if (parts.length === 0) return null;
-
+    const summary = window.dataStore.getReactionSummary(eventId);
+    const parts = [
+      { label: '👍', pubkeys: summary.likes },
+      { label: '👎', pubkeys: summary.dislikes },
+      ...summary.emojis.map(emoji => ({ label: emoji.content, url: emoji.url, pubkeys: emoji.pubkeys })),
+      { label: '🔁', pubkeys: summary.reposts }
+    ].filter(part => part.pubkeys.length > 0);
+
+    // 空でも置いておき、リアクションが届いたら差し替える
     const badge = document.createElement('span');
-    badge.textContent = ' ' + parts.join(' ');
+    badge.className = 'reaction-badge';
     badge.style.cssText = 'color: #999; margin-left: 0.5rem; font-size: 0.8rem;';
+
+    // 絵文字と人数、ホバーでリアクションした人
+    parts.forEach(({ label, url, pubkeys }) => {
+      const item = document.createElement('span');
+      item.style.marginRight = '0.4rem';
+      item.title = `${label} ${pubkeys.map(pubkey => window.dataStore.getDisplayName(pubkey)).join(', ')}`;
+
+      if (url) {
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = label;
+        img.className = 'custom-emoji';
+        img.loading = 'lazy';
+        item.appendChild(img);
+      } else {
+        item.appendChild(document.createTextNode(label));
+      }
+      item.appendChild(document.createTextNode(String(pubkeys.length)));
+      badge.appendChild(item);
+    });
+
     return badge;
   }
 
   /**
-   * 長押しハンドラー（ふぁぼ）
+   * 長押しハンドラー（リアクションを選ぶ）
    */
   attachLongPressHandler(element, event) {
     let timer;
+    let fired = false;
 
     const start = () => {
+      fired = false;
       timer = setTimeout(() => {
-        if (window.sendLikeEvent) {
-          if (confirm('☆ふぁぼる？')) {
-            window.sendLikeEvent(event.id, event.pubkey);
-          }
-        }
+        fired = true;
+        window.reactionPicker.open(event);
       }, 900);
     };
 
@@ -424,6 +1080,28 @@ class Timeline {
     element.addEventListener('touchstart', start, { passive: true });
     element.addEventListener('touchend', cancel);
     element.addEventListener('touchcancel', cancel);
+
+    // 長押し後のクリックは無視
+    element.addEventListener('click', (e) => {
+      if (fired) {
+        fired = false;
+        e.stopImmediatePropagation();
+      }
+    }, true);
+  }
+
+  /**
+   * クリックでスレッドを開く
+   */
+  attachThreadOpenHandler(element, event) {
+    element.classList.add('event-clickable');
+    element.addEventListener('click', (e) => {
+      // リンク・画像・ボタンのクリックや文字選択は除く
+      if (e.target.closest('a, button, img, video, audio, input, textarea')) return;
+      if (window.getSelection().toString()) return;
+
+      window.threadView.open(event.id);
+    });
   }
 }
 
@@ -7,13 +7,27 @@
 class ViewState {
   constructor() {
     // タブごとの表示対象イベントID
+    // 組み込みのタブ以外（ハッシュタグ・カスタムタブ）はensureTabで追加する
     this.visibleEventIds = {
       global: new Set(),
       following: new Set(),
       myposts: new Set(),
-      likes: new Set()
+      notifications: new Set(),
+      search: new Set()
     };
 
+    // 自動更新OFFの間に届いた新着（タブごと、「N件の新着」で反映）
+    this.heldEventIds = {
+      global: new Set(),
+      following: new Set(),
+      myposts: new Set(),
+      notifications: new Set(),
+      search: new Set()
+    };
+
+    // タブごとの表示中で最新の時刻（これより新しいものを新着として保留）
+    this.newestTimestamps = {};
+
     // 描画待機キュー（プロファイル未取得のイベント）
     this.pendingEventIds = new Set();
     
@@ -28,14 +42,32 @@ class ViewState {
   addEvent(event, currentTab) {
     const myPubkey = window.nostrAuth?.pubkey;
 
+    // 取り消し（kind:5）は対象を表示から外すだけ
+    if (event.kind === 5) {
+      this.removeDeleted(event);
+      return;
+    }
+
     // どのタブに表示すべきか判定
     const targetTabs = this.determineTargetTabs(event, myPubkey);
 
-    // 各タブに追加
+    // 各タブに追加（自動更新OFFなら新着は保留）
     targetTabs.forEach(tab => {
-      this.visibleEventIds[tab].add(event.id);
+      if (this.visibleEventIds[tab].has(event.id)) return;
+
+      if (this.shouldHold(tab, event, myPubkey)) {
+        this.heldEventIds[tab].add(event.id);
+        return;
+      }
+
+      this.markVisible(tab, event);
     });
 
+    // 通知（未読数の更新）
+    if (targetTabs.includes('notifications')) {
+      window.notifications.add(event);
+    }
+
     // プロファイルが未取得なら待機キューに追加
     if (!window.dataStore.profiles.has(event.pubkey)) {
       this.pendingEventIds.add(event.id);
@@ -48,6 +80,135 @@ class ViewState {
     }
   }
 
+  /**
+   * タブを用意（ハッシュタグのタブなど後から増えるもの）
+   * 手元のイベントから振り分け直す
+   */
+  ensureTab(tab) {
+    if (this.visibleEventIds[tab]) return;
+
+    this.visibleEventIds[tab] = new Set();
+    this.heldEventIds[tab] = new Set();
+
+    const myPubkey = window.nostrAuth?.pubkey;
+    window.dataStore.events.forEach(event => {
+      if (this.determineTargetTabs(event, myPubkey).includes(tab)) {
+        this.markVisible(tab, event);
+      }
+    });
+  }
+
+  /**
+   * タブを削除（カスタムタブの削除時）
+   */
+  removeTab(tab) {
+    delete this.visibleEventIds[tab];
+    delete this.heldEventIds[tab];
+    delete this.newestTimestamps[tab];
+    delete window.dataStore.oldestTimestamps[tab];
+  }
+
+  /**
+   * kind:5で取り消されたイベントをすべてのタブから外す
+   * DataStoreで取り除かれたもの（本人による取り消し）だけが対象
+   */
+  removeDeleted(event) {
+    const ids = event.tags
+      .filter(t => t[0] === 'e' && t[1] && !window.dataStore.events.has(t[1]))
+      .map(t => t[1]);
+
+    if (ids.length === 0) return;
+
+    let removed = false;
+    ids.forEach(id => {
+      Object.values(this.visibleEventIds).forEach(set => { removed = set.delete(id) || removed; });
+      Object.values(this.heldEventIds).forEach(set => set.delete(id));
+      this.pendingEventIds.delete(id);
+      window.notifications.remove(id);
+    });
+
+    // 取り消されたリアクションの分、数とふぁぼ済みの表示も更新
+    window.timeline?.updateReactions(null);
+    window.threadView?.scheduleRender();
+    window.profileView?.scheduleRender();
+
+    if (removed) {
+      console.log(`🗑️ 取り消されたイベントを非表示: ${ids.length}件`);
+      this.renderNow();
+    }
+  }
+
+  /**
+   * タブの表示対象にする（最新・最古の時刻も更新）
+   */
+  markVisible(tab, event) {
+    this.visibleEventIds[tab].add(event.id);
+    this.newestTimestamps[tab] = Math.max(this.newestTimestamps[tab] || 0, event.created_at);
+    window.dataStore.updateOldestTimestamp(tab, event.created_at);
+  }
+
+  /**
+   * 振り分けによらずタブに追加（検索結果など）
+   */
+  addToTab(tab, event, currentTab) {
+    this.markVisible(tab, event);
+
+    if (!window.dataStore.profiles.has(event.pubkey)) {
+      this.pendingEventIds.add(event.id);
+      window.profileFetcher.request(event.pubkey);
+    }
+
+    if (tab === currentTab) {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * タブを空にする
+   */
+  clearTab(tab) {
+    this.visibleEventIds[tab].clear();
+    this.heldEventIds[tab].clear();
+    delete this.newestTimestamps[tab];
+  }
+
+  /**
+   * 新着として保留するか
+   * 自動更新OFFで、表示中の最新より新しいもの（自分の投稿は除く）
+   */
+  shouldHold(tab, event, myPubkey) {
+    if (window.app?.isAutoUpdate !== false) return false;
+    if (event.pubkey === myPubkey) return false;
+
+    const newest = this.newestTimestamps[tab] || 0;
+    return newest > 0 && event.created_at > newest;
+  }
+
+  /**
+   * 保留中の新着をタブに反映
+   */
+  releaseHeld(tab) {
+    this.heldEventIds[tab].forEach(id => {
+      const event = window.dataStore.events.get(id);
+      if (event) this.markVisible(tab, event);
+    });
+    this.heldEventIds[tab].clear();
+  }
+
+  /**
+   * すべてのタブの新着を反映（自動更新ONに戻したとき）
+   */
+  releaseAllHeld() {
+    Object.keys(this.heldEventIds).forEach(tab => this.releaseHeld(tab));
+  }
+
+  /**
+   * 現在のタブで保留中の新着の件数（表示される条件のものだけ）
+   */
+  getHeldCount(tab, filterOptions = {}) {
+    return this.filterEvents(tab, this.heldEventIds[tab], filterOptions).length;
+  }
+
   /**
    * イベントがどのタブに表示されるべきか判定
    */
@@ -70,17 +231,47 @@ class ViewState {
       tabs.push('myposts');
     }
 
-    // 自分が受け取ったkind:7 → likes
-    if (event.kind === 7) {
-      const targetPubkey = event.tags.find(t => t[0] === 'p')?.[1];
-      if (targetPubkey === myPubkey) {
-        tabs.push('likes');
+    // ハッシュタグ → tag:<タグ>（開いたことのあるタブだけ）
+    if (event.kind === 1) {
+      event.tags.forEach(t => {
+        if (t[0] !== 't' || !t[1]) return;
+        const tab = 'tag:' + t[1].toLowerCase();
+        if (this.visibleEventIds[tab] && !tabs.includes(tab)) {
+          tabs.push(tab);
+        }
+      });
+    }
+
+    // カスタムタブ → custom:<dタグ>
+    window.customTabs.getTabs().forEach(tab => {
+      if (this.visibleEventIds[tab.id] && window.customTabs.matches(tab, event)) {
+        tabs.push(tab.id);
       }
+    });
+
+    // 自分宛てのメンション・返信・リポスト・リアクション・zap → notifications
+    if (window.notifications.isNotification(event)) {
+      tabs.push('notifications');
     }
 
     return tabs;
   }
 
+  /**
+   * フォローリスト変更時にフォロータブを振り分け直す
+   */
+  rebuildFollowingTab() {
+    this.visibleEventIds.following = new Set();
+    delete this.newestTimestamps.following;
+
+    this.visibleEventIds.global.forEach(id => {
+      const event = window.dataStore.events.get(id);
+      if (event && window.dataStore.isFollowing(event.pubkey)) {
+        this.markVisible('following', event);
+      }
+    });
+  }
+
   /**
    * プロファイル取得完了時の処理
    */
@@ -106,9 +297,9 @@ class ViewState {
    * 描画をスケジュール
    */
   scheduleRender() {
-    // 自動更新がOFFなら何もしない
+    // 自動更新がOFFなら新着の件数だけ更新
     if (!window.app?.isAutoUpdate) {
-      console.log('⏸️ 自動更新OFF: 描画スキップ');
+      window.app?.updateNewPostsBanner();
       return;
     }
 
@@ -128,6 +319,7 @@ class ViewState {
     if (window.timeline) {
       window.timeline.refresh();
     }
+    window.app?.updateNewPostsBanner();
   }
 
   /**
@@ -144,14 +336,28 @@ class ViewState {
    * 表示対象のイベントを取得
    */
   getVisibleEvents(tab, filterOptions = {}) {
-    const eventIds = Array.from(this.visibleEventIds[tab]);
-    
-    let events = eventIds
+    return this.filterEvents(tab, this.visibleEventIds[tab], filterOptions);
+  }
+
+  /**
+   * ミュート（NIP-51）・NGワードとNGユーザー（隠すモード）で表示しないか
+   * たたむモードは描画時（Timeline.createEventElement）に扱う
+   */
+  isHidden(event) {
+    return window.muteList.isMuted(event) || window.contentFilter.shouldHide(event);
+  }
+
+  /**
+   * イベントIDを表示条件でしぼりこんで新しい順に
+   */
+  filterEvents(tab, eventIds, filterOptions = {}) {
+    let events = Array.from(eventIds)
       .map(id => window.dataStore.events.get(id))
       .filter(Boolean);
 
-    // flowgazerしぼりこみ
-    if (filterOptions.flowgazerOnly && tab !== 'likes') {
+    // flowgazerしぼりこみ（全体の設定かカスタムタブの設定）
+    const flowgazerOnly = filterOptions.flowgazerOnly || window.customTabs.get(tab)?.flowgazerOnly;
+    if (flowgazerOnly && tab !== 'notifications') {
       events = events.filter(ev => 
         ev.kind === 1 && 
         ev.tags.some(tag => tag[0] === 'client' && tag[1] === 'flowgazer')
@@ -164,8 +370,11 @@ class ViewState {
       events = events.filter(ev => authorSet.has(ev.pubkey));
     }
 
-    // プロファイル未取得のものは除外
-    events = events.filter(ev => window.dataStore.profiles.has(ev.pubkey));
+    // ミュート・NGワード
+    events = events.filter(ev => !this.isHidden(ev));
+
+    // プロファイル未取得のものは除外（zapは送った人で判定）
+    events = events.filter(ev => window.dataStore.profiles.has(window.notifications.getActor(ev)));
 
     // ソート
     return events.sort((a, b) => b.created_at - a.created_at);
@@ -179,7 +388,9 @@ class ViewState {
       global: this.visibleEventIds.global.size,
       following: this.visibleEventIds.following.size,
       myposts: this.visibleEventIds.myposts.size,
-      likes: this.visibleEventIds.likes.size,
+      notifications: this.visibleEventIds.notifications.size,
+      search: this.visibleEventIds.search.size,
+      held: Object.values(this.heldEventIds).reduce((sum, ids) => sum + ids.size, 0),
       pending: this.pendingEventIds.size
     };
   }
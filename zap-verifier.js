@@ -0,0 +1,147 @@
+/**
+ * zap-verifier.js
+ * NIP-57: zapレシート（kind:9735）の検証
+ * 埋め込まれたzapリクエスト（kind:9734）の署名と宛先を確認し、
+ * レシートの発行者が受け取った人のLNURLサーバー（lud16のnostrPubkey）かを確かめる
+ * 結果はキャッシュし、取得にはタイムアウトを設ける
+ */
+
+class ZapVerifier {
+  constructor() {
+    this.zappers = new Map();        // lud16 -> { result, expires }
+    this.inFlight = new Map();       // lud16 -> Promise
+    this.requests = new Map();       // レシートのeventId -> zapリクエスト | null
+    this.verified = new Map();       // レシートのeventId -> true | false | 'pending'
+    this.timeout = 5000;             // 取得タイムアウト（ms）
+    this.cacheTtl = 60 * 60 * 1000;  // 成功時のキャッシュ時間（ms）
+    this.failureTtl = 5 * 60 * 1000; // 失敗時のキャッシュ時間（ms）
+  }
+
+  /**
+   * レシートに埋め込まれたzapリクエスト（署名が正しく、同じ人宛てのものだけ）
+   */
+  parseZapRequest(receipt) {
+    if (this.requests.has(receipt.id)) {
+      return this.requests.get(receipt.id);
+    }
+
+    let request = null;
+    const description = receipt.tags.find(t => t[0] === 'description')?.[1];
+    const recipient = receipt.tags.find(t => t[0] === 'p')?.[1];
+
+    try {
+      const parsed = description ? JSON.parse(description) : null;
+      if (parsed?.kind === 9734 && Array.isArray(parsed.tags) &&
+          parsed.tags.some(t => t[0] === 'p' && t[1] === recipient) &&
+          window.NostrTools.verifyEvent(parsed)) {
+        request = parsed;
+      }
+    } catch (err) {
+      // 不正なJSONはzapリクエストなしとして扱う
+    }
+
+    this.requests.set(receipt.id, request);
+    return request;
+  }
+
+  /**
+   * lud16（name@domain）からLNURLサーバーのnostrPubkeyを取得
+   * zapに対応していなければnull
+   */
+  async resolveZapper(lud16) {
+    const key = lud16.trim().toLowerCase();
+
+    const cached = this.zappers.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.result;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.fetchZapper(key)
+      .then(result => {
+        this.zappers.set(key, {
+          result,
+          expires: Date.now() + (result ? this.cacheTtl : this.failureTtl)
+        });
+        return result;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * LNURL-payの情報を取得
+   */
+  async fetchZapper(lud16) {
+    const [name, domain] = lud16.split('@');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`https://${domain}/.well-known/lnurlp/${encodeURIComponent(name)}`, {
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const json = await response.json();
+      if (!json?.allowsNostr || typeof json.nostrPubkey !== 'string' ||
+          !/^[0-9a-f]{64}$/.test(json.nostrPubkey)) {
+        return null;
+      }
+      return json.nostrPubkey;
+
+    } catch (err) {
+      console.warn('⚠️ LNURLの取得失敗:', lud16, err.message);
+      return null;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * レシートが正しいか
+   * 未確認なら検証を始めて'pending'を返す（完了時に再描画）
+   */
+  getVerification(receipt) {
+    if (this.verified.has(receipt.id)) {
+      return this.verified.get(receipt.id);
+    }
+
+    if (!this.parseZapRequest(receipt)) {
+      this.verified.set(receipt.id, false);
+      return false;
+    }
+
+    // 受け取った人のプロフィールがまだなければ、届いてから検証する
+    const recipient = receipt.tags.find(t => t[0] === 'p')?.[1];
+    const lud16 = recipient && window.dataStore.profiles.get(recipient)?.lud16;
+    if (typeof lud16 !== 'string' || !/^[^@\s]+@[\w.-]+$/.test(lud16.trim())) {
+      return false;
+    }
+
+    this.verified.set(receipt.id, 'pending');
+    this.resolveZapper(lud16).then(zapper => {
+      this.verified.set(receipt.id, zapper === receipt.pubkey);
+      if (zapper === receipt.pubkey) {
+        window.profileFetcher.request(this.parseZapRequest(receipt).pubkey);
+        window.viewState.scheduleRender();
+      } else {
+        console.warn('⚠️ zapレシートの発行者がLNURLサーバーと一致しません:', receipt.id);
+      }
+    });
+
+    return 'pending';
+  }
+}
+
+// グローバルインスタンス
+window.zapVerifier = new ZapVerifier();
+console.log('✅ ZapVerifier初期化完了');